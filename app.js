@@ -1,681 +1,221 @@
 // A2KDA Aurora - main app logic
-// - LightPollution module
-// - AuroraBrain scoring
-// - Simple solar darkness model
-// - Darkness-aware score adjustment
+// - Saved sites and the NOAA OVATION grid
 // - v1 Clouds and Moon integration
 // - App wiring (location, KP slider, panels, sky brightness override, hourly chart)
+// Scoring (light pollution, AuroraBrain, darkness, Moon, verdict) lives in
+// aurora-scoring.mjs so it can run without the page; every JSON feed is
+// fetched through the provider registry in data-providers.mjs.
+
+import {
+  LightPollution,
+  Geomagnetic,
+  DEFAULT_WEIGHTS,
+  normalizeWeights,
+  AuroraBrain,
+  isValidTimeZone,
+  zonedParts,
+  zoneOffsetHours,
+  localHourIn,
+  dateFromLocalParts,
+  dateAtLocalHour,
+  isSameLocalDay,
+  shiftLocalDays,
+  formatHourLocal,
+  sunAltitude,
+  twilightPhase,
+  computeDarknessInfo,
+  buildDarknessFromLiveTimes,
+  computeMoonInfo,
+  cloudEntryForTime,
+  OvationGrid,
+  OVATION_HORIZON_HOURS,
+  kpForecastAt,
+  hourInputs,
+  ovalEdgeGeomagLatForKp,
+  nightHourDates,
+  nightMoonSummary,
+  scoreHour,
+  scoreSite,
+  hitRateByBucket,
+  suggestWeights
+} from "./aurora-scoring.mjs";
+import { fetchFeed, useFixtures } from "./data-providers.mjs";
 
 (function () {
-  "use strict";
-
-  // -------- Light pollution module --------
-  const LightPollution = (function () {
-    // Grid-based data derived from World Atlas of Artificial Night Sky Brightness (if present)
-    let gridMeta = null;   // { lat_min, lon_min, resolution_deg, rows, cols, unit }
-    let gridValues = null; // Array of sky brightness values
-    let gridLoadAttempted = false;
-
-    async function loadGridIfNeeded() {
-      if (gridLoadAttempted) return;
-      gridLoadAttempted = true;
+  // -------- Saved sites (localStorage) --------
+  const SavedSites = (function () {
+    const STORAGE_KEY = "a2kda_sites";
 
+    // { sites: [{ id, name, lat, lon, placeContext, lpMode, sqm, timeZone }], defaultId }
+    function read() {
       try {
-        const res = await fetch("lightpollution_grid.json");
-        if (!res.ok) {
-          console.warn("Light pollution grid JSON not found, using heuristic only.");
-          return;
-        }
-        const data = await res.json();
-        if (!data.values || !Array.isArray(data.values)) {
-          console.warn("Light pollution grid JSON missing 'values' array.");
-          return;
+        const raw = window.localStorage.getItem(STORAGE_KEY);
+        const data = raw ? JSON.parse(raw) : null;
+        if (data && Array.isArray(data.sites)) {
+          return { sites: data.sites, defaultId: data.defaultId || null };
         }
-
-        gridMeta = {
-          lat_min: data.lat_min,
-          lon_min: data.lon_min,
-          resolution_deg: data.resolution_deg,
-          rows: data.rows,
-          cols: data.cols,
-          unit: data.unit || "mag_per_arcsec2"
-        };
-        gridValues = data.values;
-        console.log("Light pollution grid loaded:", gridMeta);
       } catch (err) {
-        console.error("Failed to load light pollution grid JSON:", err);
+        console.warn("Saved sites unreadable – starting fresh.", err);
       }
+      return { sites: [], defaultId: null };
     }
 
-    function normalizeLightPollution(options) {
-      const opts = options || {};
-      const bortle = typeof opts.bortle === "number" ? opts.bortle : null;
-      const skyBrightness =
-        typeof opts.skyBrightness === "number" ? opts.skyBrightness : null;
-
-      if (bortle != null) {
-        const clamped = Math.min(9, Math.max(1, bortle));
-        return (clamped - 1) / 8;
+    function write(data) {
+      try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+      } catch (err) {
+        console.warn("Could not persist saved sites", err);
       }
+    }
 
-      if (skyBrightness != null) {
-        const min = 18;    // brighter (worse)
-        const max = 21.5;  // darker (better)
-        const v = Math.min(max, Math.max(min, skyBrightness));
-        const norm = 1 - (v - min) / (max - min);
-        return norm;
-      }
+    function list() {
+      return read().sites;
+    }
 
-      return 0.5;
+    function get(id) {
+      return read().sites.find((site) => site.id === id) || null;
     }
 
-    function classifyLightPollutionValue(normalized) {
-      const n = Math.min(1, Math.max(0, normalized));
-      if (n < 0.33) {
-        return { label: "Dark skies", code: "dark" };
-      } else if (n < 0.66) {
-        return { label: "Suburban skies", code: "suburban" };
+    // Insert or update by id; returns the stored site.
+    function save(site) {
+      const data = read();
+      const stored = {
+        id: site.id || `site-${Date.now().toString(36)}`,
+        name: site.name,
+        lat: site.lat,
+        lon: site.lon,
+        placeContext: site.placeContext || null,
+        lpMode: site.lpMode || "auto",
+        sqm: typeof site.sqm === "number" ? site.sqm : null,
+        timeZone: site.timeZone || null
+      };
+      const idx = data.sites.findIndex((s) => s.id === stored.id);
+      if (idx >= 0) {
+        data.sites[idx] = { ...data.sites[idx], ...stored };
       } else {
-        return { label: "Urban / bright skies", code: "urban" };
+        data.sites.push(stored);
       }
+      write(data);
+      return stored;
     }
 
-    function sampleGrid(lat, lon) {
-      if (!gridMeta || !gridValues) return null;
-
-      const { lat_min, lon_min, resolution_deg, rows, cols } = gridMeta;
-      if (
-        typeof lat !== "number" ||
-        typeof lon !== "number" ||
-        resolution_deg <= 0
-      ) {
-        return null;
-      }
-
-      // Wrap lon into [-180, 180)
-      let lonWrapped = ((lon + 180) % 360 + 360) % 360 - 180;
-
-      const row = Math.floor((lat - lat_min) / resolution_deg);
-      const col = Math.floor((lonWrapped - lon_min) / resolution_deg);
-
-      if (row < 0 || row >= rows || col < 0 || col >= cols) return null;
-
-      const idx = row * cols + col;
-      const raw = gridValues[idx];
-
-      if (raw == null || isNaN(raw)) return null;
-
-      return { skyBrightness: Number(raw) };
+    function remove(id) {
+      const data = read();
+      data.sites = data.sites.filter((site) => site.id !== id);
+      if (data.defaultId === id) data.defaultId = null;
+      write(data);
     }
 
-    async function getLightPollution(lat, lon) {
-      // Try to load the grid once
-      await loadGridIfNeeded();
-
-      // 1) If grid data is available, sample it
-      const sampled = sampleGrid(lat, lon);
-      if (sampled && typeof sampled.skyBrightness === "number") {
-        const normalized = normalizeLightPollution({
-          skyBrightness: sampled.skyBrightness
-        });
-        const classification = classifyLightPollutionValue(normalized);
-        return {
-          source: "world-atlas-grid",
-          normalized,
-          classification,
-          bortleClass: undefined,
-          skyBrightness: sampled.skyBrightness
-        };
-      }
-
-      // 2) Fallback heuristic based on latitude/longitude only
-      let heuristicNorm = 0.5;
-
-      if (typeof lat === "number" && typeof lon === "number") {
-        const absLat = Math.abs(lat);
-        if (absLat > 66) {
-          heuristicNorm = 0.22;
-        } else if (absLat > 58) {
-          heuristicNorm = 0.32;
-        } else if (absLat > 50) {
-          heuristicNorm = 0.42;
-        } else if (absLat > 40) {
-          heuristicNorm = 0.58;
-        } else {
-          heuristicNorm = 0.72;
-        }
-
-        const absLon = Math.abs(lon);
-        if (absLon > 150 || absLon < 20) {
-          heuristicNorm -= 0.05;
-        }
-      }
-
-      const normalized = Math.min(1, Math.max(0, heuristicNorm));
-      const classification = classifyLightPollutionValue(normalized);
+    function setDefault(id) {
+      const data = read();
+      data.defaultId = id && data.sites.some((site) => site.id === id) ? id : null;
+      write(data);
+    }
 
-      return {
-        source: "fallback",
-        normalized,
-        classification,
-        bortleClass: undefined,
-        skyBrightness: undefined
-      };
+    function getDefault() {
+      const data = read();
+      return data.sites.find((site) => site.id === data.defaultId) || null;
     }
 
     return {
-      normalizeLightPollution,
-      classifyLightPollutionValue,
-      getLightPollution
+      list,
+      get,
+      save,
+      remove,
+      setDefault,
+      getDefault
     };
   })();
 
-  // -------- Aurora brain module (pre-darkness, pre-moon) --------
-  const AuroraBrain = (function () {
-    function kpScore(kp) {
-      const k = Math.min(9, Math.max(0, Number(kp) || 0));
-      return (k / 9) * 60;
-    }
-
-    function locationScore(distanceToOvalKm) {
-      const maxDist = 1500;
-      const d = Math.min(maxDist, Math.max(0, Number(distanceToOvalKm) || 0));
-      return 30 * (1 - d / maxDist);
-    }
-
-    function lightPollutionPenalty(lightPollution, kp) {
-      const lp = Math.min(1, Math.max(0, Number(lightPollution) || 0));
-      const basePenalty = 30 * lp;
-
-      const k = Math.min(9, Math.max(0, Number(kp) || 0));
-      const kpReliefFactor = Math.min(1, k / 7);
-      const effectivePenalty = basePenalty * (1 - kpReliefFactor * 0.7);
-
-      return effectivePenalty;
-    }
-
-    // Dialled-back time-of-night tweak: small bonus around local midnight only.
-    function timeOfNightAdjustment(timeLocalHour) {
-      if (typeof timeLocalHour !== "number") return 0;
-      const h = ((timeLocalHour % 24) + 24) % 24;
+  // -------- Sighting log (IndexedDB) --------
+  const SightingLog = (function () {
+    const DB_NAME = "a2kda_sightings";
+    const STORE = "sightings";
+    let dbPromise = null;
 
-      if (h >= 22 || h < 2) return +3; // around local midnight
-      if ((h >= 3 && h <= 4) || (h >= 20 && h <= 21)) return +1; // shoulders
-      return 0; // no explicit daytime penalty here – handled by darkness model
+    function requestToPromise(req) {
+      return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
     }
 
-    // Computes a "base" score ignoring detailed darkness & moon.
-    function computeBrain(inputs) {
-      const {
-        kp,
-        distanceToOvalKm,
-        geomagneticLatitude,
-        lightPollution,
-        cloudCover,
-        timeLocalHour
-      } = inputs;
-
-      const debug = [];
-
-      const sKp = kpScore(kp);
-      debug.push(`KP index ${kp} contributes ${sKp.toFixed(1)} points.`);
-
-      const sLoc = locationScore(distanceToOvalKm);
-      debug.push(
-        `Your position relative to the auroral oval contributes ${sLoc.toFixed(
-          1
-        )} points.`
-      );
-
-      const lpPenalty = lightPollutionPenalty(lightPollution, kp);
-      if (lightPollution < 0.33) {
-        debug.push(
-          `Dark skies – only a small light pollution penalty (${lpPenalty.toFixed(
-            1
-          )} points).`
-        );
-      } else if (lightPollution < 0.66) {
-        debug.push(
-          `Moderate light pollution – medium penalty (${lpPenalty.toFixed(
-            1
-          )} points).`
-        );
-      } else {
-        debug.push(
-          `Bright urban skies – heavy light pollution penalty (${lpPenalty.toFixed(
-            1
-          )} points).`
-        );
-      }
-
-      let score = sKp + sLoc - lpPenalty;
-
-      if (typeof cloudCover === "number") {
-        const cc = Math.min(1, Math.max(0, cloudCover));
-        const cloudPenalty = 25 * cc;
-        score -= cloudPenalty;
-        debug.push(
-          `Cloud cover reduces the score by ${cloudPenalty.toFixed(
-            1
-          )} points (cover: ${(cc * 100).toFixed(0)}%).`
-        );
-      }
-
-      const timeAdj = timeOfNightAdjustment(timeLocalHour);
-      if (timeAdj !== 0) {
-        score += timeAdj;
-        const timeLabel = formatHourLocal(timeLocalHour);
-        debug.push(
-          `Local time adjustment of ${timeAdj.toFixed(
-            1
-          )} points based on local time ${timeLabel}.`
-        );
+    function open() {
+      if (dbPromise) return dbPromise;
+      if (typeof indexedDB === "undefined") {
+        return Promise.reject(new Error("IndexedDB is not available in this browser"));
       }
-
-      score = Math.max(0, Math.min(100, score));
-      debug.push(
-        `Base visibility score before darkness adjustment: ${score.toFixed(
-          0
-        )} / 100.`
-      );
-
-      return {
-        score,
-        debug,
-        kpScore: sKp,
-        locationScore: sLoc,
-        lightPollutionPenalty: lpPenalty,
-        geomagneticLatitude
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
       };
+      dbPromise = requestToPromise(req).catch((err) => {
+        dbPromise = null;
+        throw err;
+      });
+      return dbPromise;
     }
 
-    return {
-      kpScore,
-      locationScore,
-      lightPollutionPenalty,
-      timeOfNightAdjustment,
-      computeBrain
-    };
-  })();
-
-  // -------- Simple solar darkness model --------
-
-  function toRad(deg) {
-    return (deg * Math.PI) / 180;
-  }
-
-  function toDeg(rad) {
-    return (rad * 180) / Math.PI;
-  }
-
-  function dayOfYear(date) {
-    const start = new Date(date.getFullYear(), 0, 1);
-    const diff = date - start;
-    return Math.floor(diff / 86400000) + 1;
-  }
-
-  function wrapHour(h) {
-    let v = h % 24;
-    if (v < 0) v += 24;
-    return v;
-  }
-
-  function isoToLocalHour(isoString) {
-    if (!isoString) return null;
-    const d = new Date(isoString);
-    if (Number.isNaN(d.getTime())) return null;
-    const hour = d.getHours();
-    const minutes = d.getMinutes();
-    const seconds = d.getSeconds();
-    return hour + minutes / 60 + seconds / 3600;
-  }
-
-  function isHourBetween(h, start, end) {
-    if (start == null || end == null) return false;
-    h = wrapHour(h);
-    start = wrapHour(start);
-    end = wrapHour(end);
-    if (start === end) return false;
-    if (start < end) {
-      return h >= start && h < end;
-    } else {
-      return h >= start || h < end;
+    async function withStore(mode, fn) {
+      const db = await open();
+      return requestToPromise(fn(db.transaction(STORE, mode).objectStore(STORE)));
     }
-  }
-
-  function formatHourLocal(h) {
-    if (h == null || !isFinite(h)) return "";
-    const wh = wrapHour(h);
-    const hour = Math.floor(wh);
-    const minutes = Math.round((wh - hour) * 60);
-    const hh = hour.toString().padStart(2, "0");
-    const mm = minutes.toString().padStart(2, "0");
-    return `${hh}:${mm}`;
-  }
 
-  function computeDarknessInfo(lat, lon, date) {
-    if (typeof lat !== "number" || typeof lon !== "number") return null;
-    if (!isFinite(lat) || !isFinite(lon)) return null;
-
-    const d = date || new Date();
-    const N = dayOfYear(d);
-    const latRad = toRad(lat);
-    const decl = toRad(
-      23.45 * Math.sin(toRad((360 * (284 + N)) / 365))
-    );
-
-    // Approximate solar noon using longitude and local timezone
-    const tzOffsetHours = -d.getTimezoneOffset() / 60; // e.g. +1 for CET
-    const centralMeridian = tzOffsetHours * 15; // degrees
-    const solarNoon = 12 + (centralMeridian - lon) / 15; // local clock hours
-
-    function hourAngleForAltitude(h0Deg) {
-      const h0 = toRad(h0Deg);
-      const cosH =
-        (Math.sin(h0) - Math.sin(latRad) * Math.sin(decl)) /
-        (Math.cos(latRad) * Math.cos(decl));
-
-      if (cosH < -1) {
-        // Sun always above this altitude (relative to this threshold)
-        return { alwaysAbove: true, exists: false };
-      }
-      if (cosH > 1) {
-        // Sun always below this altitude
-        return { alwaysBelow: true, exists: false };
-      }
-
-      const H = Math.acos(cosH);
-      const Hdeg = toDeg(H);
-      return { exists: true, Hdeg };
-    }
-
-    // Sunrise / sunset (~ upper limb, includes refraction)
-    const sun0 = hourAngleForAltitude(-0.833);
-    let sunrise = null;
-    let sunset = null;
-    let hasDay = false;
-    let alwaysDaylight = false;
-    let alwaysNight = false;
-
-    if (sun0.exists) {
-      const Hsun = sun0.Hdeg;
-      sunrise = wrapHour(solarNoon - Hsun / 15);
-      sunset = wrapHour(solarNoon + Hsun / 15);
-      hasDay = true;
-    } else if (sun0.alwaysAbove) {
-      alwaysDaylight = true;
-    } else if (sun0.alwaysBelow) {
-      alwaysNight = true;
-    }
-
-    // Astronomical darkness (Sun 18° below horizon)
-    const astro = hourAngleForAltitude(-18);
-    let astroDawn = null;
-    let astroDusk = null;
-    let hasAstronomicalNight = false;
-    let neverDark = false;
-    let alwaysAstronomicalDark = false;
-
-    if (astro.exists) {
-      const Hastro = astro.Hdeg;
-      astroDawn = wrapHour(solarNoon - Hastro / 15);
-      astroDusk = wrapHour(solarNoon + Hastro / 15);
-      hasAstronomicalNight = true;
-    } else if (astro.alwaysAbove) {
-      // Sun never 18° below horizon → no full astronomical night
-      neverDark = true;
-    } else if (astro.alwaysBelow) {
-      // Sun always deeper than 18° → essentially full darkness
-      alwaysAstronomicalDark = true;
-    }
-
-    const hourNow = d.getHours() + d.getMinutes() / 60;
-    let isDaylightNow = false;
-
-    if (hasDay) {
-      isDaylightNow = isHourBetween(hourNow, sunrise, sunset);
-    } else if (alwaysDaylight) {
-      isDaylightNow = true;
-    }
-
-    let isDarkNow = false;
-    if (alwaysAstronomicalDark) {
-      isDarkNow = true;
-    } else if (hasAstronomicalNight) {
-      isDarkNow = isHourBetween(hourNow, astroDusk, astroDawn);
+    // { time, lat, lon, label, saw, intensity, notes, score, verdict, inputs }
+    // `inputs` is the object scoreSite() was called with (Dates survive IndexedDB)
+    function add(record) {
+      return withStore("readwrite", (store) => store.add(record));
     }
 
-    return {
-      date: d,
-      sunrise,
-      sunset,
-      astroDawn,
-      astroDusk,
-      hasDay,
-      alwaysDaylight,
-      alwaysNight,
-      hasAstronomicalNight,
-      neverDark,
-      alwaysAstronomicalDark,
-      isDaylightNow,
-      isDarkNow
-    };
-  }
-
-  function buildDarknessFromLiveTimes(results) {
-    if (!results) return null;
-
-    const sunrise = isoToLocalHour(results.sunrise);
-    const sunset = isoToLocalHour(results.sunset);
-    const astroDawn = isoToLocalHour(results.astronomical_twilight_begin);
-    const astroDusk = isoToLocalHour(results.astronomical_twilight_end);
-
-    if (astroDawn == null || astroDusk == null) return null;
-
-    const now = new Date();
-    const hourNow = now.getHours() + now.getMinutes() / 60;
-
-    const hasDay = sunrise != null && sunset != null;
-    const hasAstronomicalNight = true;
+    // Oldest first
+    function list() {
+      return withStore("readonly", (store) => store.getAll());
+    }
 
-    const isDaylightNow = hasDay && isHourBetween(hourNow, sunrise, sunset);
-    const isDarkNow = isHourBetween(hourNow, astroDusk, astroDawn);
+    function remove(id) {
+      return withStore("readwrite", (store) => store.delete(id));
+    }
 
     return {
-      date: now,
-      sunrise,
-      sunset,
-      astroDawn,
-      astroDusk,
-      hasDay,
-      alwaysDaylight: false,
-      alwaysNight: false,
-      hasAstronomicalNight,
-      neverDark: false,
-      alwaysAstronomicalDark: false,
-      isDaylightNow,
-      isDarkNow,
-      source: "live-api"
+      add,
+      list,
+      remove
     };
-  }
-
-  // Darkness → scale factor + explanation, based on the *current* time context in the object.
-  function computeDarknessFactorAndNote(darkness) {
-    if (!darkness) {
-      return {
-        factor: 1,
-        note:
-          "Darkness model unavailable – leaving the score unchanged for day/night."
-      };
-    }
+  })();
 
-    const {
-      alwaysAstronomicalDark,
-      alwaysNight,
-      neverDark,
-      hasAstronomicalNight,
-      hasDay,
-      isDaylightNow,
-      isDarkNow
-    } = darkness;
+  // -------- NOAA OVATION probability grid --------
+  // The latest grid; sampling lives in OvationGrid (aurora-scoring.mjs)
+  const AuroraOval = (function () {
+    let grid = null;
 
-    // Fully dark all the time (polar night / always-under-18°)
-    if (alwaysAstronomicalDark || (alwaysNight && !neverDark)) {
-      return {
-        factor: 1,
-        note:
-          "No darkness penalty – the sky is effectively dark throughout this date at your latitude."
-      };
+    // Resolves to the feed result, so the caller can tell which provider answered
+    async function loadLatest() {
+      const result = await fetchFeed("ovation");
+      grid = OvationGrid.fromFeed(result.data);
+      return result;
     }
 
-    // Never fully dark (midnight sun regime)
-    if (neverDark) {
-      return {
-        factor: 0.5,
-        note:
-          "Score scaled to 50% because the sky never reaches full astronomical darkness at this time of year."
-      };
+    function isLoaded() {
+      return grid !== null;
     }
 
-    // Normal case with a proper dark window
-    if (hasAstronomicalNight) {
-      if (isDarkNow) {
-        return {
-          factor: 1,
-          note:
-            "No darkness penalty – you are within the main dark window for your location."
-        };
-      }
-      if (isDaylightNow) {
-        return {
-          factor: 0.25,
-          note:
-            "Score scaled to 25% because it is currently daylight outside the main dark window."
-        };
-      }
-      // Twilight: not fully dark, not fully day
-      return {
-        factor: 0.6,
-        note:
-          "Score scaled to 60% because you are in twilight just outside the main dark window."
-      };
+    function current() {
+      return grid;
     }
 
-    // Fallback: we only know coarse day/night, no astronomical night
-    if (hasDay) {
-      if (isDaylightNow) {
-        return {
-          factor: 0.3,
-          note: "Score scaled to 30% because it is currently daylight."
-        };
-      }
-      return {
-        factor: 0.6,
-        note:
-          "Score scaled to 60% based on partial darkness, without a clear astronomical-night window."
-      };
+    function getMeta() {
+      return grid ? { observationTime: grid.observationTime, forecastTime: grid.forecastTime } : null;
     }
 
     return {
-      factor: 1,
-      note:
-        "Darkness model did not give clear day/night flags – leaving the score unchanged."
+      EDGE_PROBABILITY: OvationGrid.EDGE_PROBABILITY,
+      loadLatest,
+      isLoaded,
+      current,
+      getMeta
     };
-  }
-
-  // -------- Simple Moon model (phase & brightness) --------
-
-  const rad = Math.PI / 180;
-  const dayMs = 86400000;
-  const J1970 = 2440588;
-  const J2000 = 2451545;
-  const obliquity = rad * 23.4397;
-
-  function toJulian(date) {
-    return date.valueOf() / dayMs - 0.5 + J1970;
-  }
-
-  function toDays(date) {
-    return toJulian(date) - J2000;
-  }
-
-  function siderealTime(d, lw) {
-    return rad * (280.16 + 360.9856235 * d) - lw;
-  }
-
-  function moonCoords(d) {
-    const L = rad * (218.316 + 13.176396 * d);
-    const M = rad * (134.963 + 13.064993 * d);
-    const F = rad * (93.272 + 13.22935 * d);
-
-    const l = L + rad * 6.289 * Math.sin(M);
-    const b = rad * 5.128 * Math.sin(F);
-
-    const ra = Math.atan2(
-      Math.sin(l) * Math.cos(obliquity) - Math.tan(b) * Math.sin(obliquity),
-      Math.cos(l)
-    );
-    const dec = Math.asin(
-      Math.sin(b) * Math.cos(obliquity) + Math.cos(b) * Math.sin(obliquity) * Math.sin(l)
-    );
-
-    return { ra, dec };
-  }
-
-  function computeMoonAltitude(date, lat, lon) {
-    if (typeof lat !== "number" || typeof lon !== "number") return null;
-
-    const lw = rad * -lon;
-    const phi = rad * lat;
-    const d = toDays(date);
-    const c = moonCoords(d);
-    const H = siderealTime(d, lw) - c.ra;
-
-    const h = Math.asin(
-      Math.sin(phi) * Math.sin(c.dec) + Math.cos(phi) * Math.cos(c.dec) * Math.cos(H)
-    );
-
-    return h;
-  }
+  })();
 
-  function computeMoonInfo(date, lat, lon) {
-    const d = date ? new Date(date) : new Date();
-    const synodicMonth = 29.53058867; // days
-    // Known reference new moon: 2000-01-06 18:14 UTC
-    const knownNewMoon = Date.UTC(2000, 0, 6, 18, 14);
-    const days = (d.getTime() - knownNewMoon) / 86400000;
-    let phase = days / synodicMonth;
-    phase = phase - Math.floor(phase); // wrap into [0,1)
-
-    // Approximate illumination fraction: 0 = new, 1 = full
-    const illumination = 0.5 * (1 - Math.cos(2 * Math.PI * phase));
-
-    let phaseName;
-    if (phase < 0.03 || phase > 0.97) {
-      phaseName = "New Moon";
-    } else if (phase < 0.22) {
-      phaseName = "Waxing crescent";
-    } else if (phase < 0.28) {
-      phaseName = "First quarter";
-    } else if (phase < 0.47) {
-      phaseName = "Waxing gibbous";
-    } else if (phase < 0.53) {
-      phaseName = "Full Moon";
-    } else if (phase < 0.72) {
-      phaseName = "Waning gibbous";
-    } else if (phase < 0.78) {
-      phaseName = "Last quarter";
-    } else {
-      phaseName = "Waning crescent";
-    }
-
-    const altitudeRad = computeMoonAltitude(d, lat, lon);
-    const altitudeDeg =
-      typeof altitudeRad === "number" ? Math.round((altitudeRad * 180) / Math.PI * 10) / 10 : null;
-    const isUp = altitudeDeg == null ? true : altitudeDeg > 0;
-
-    return { phase, illumination, phaseName, altitude: altitudeDeg, isUp };
-  }
 
   function getMoonPhaseIcon(phase) {
     if (typeof phase !== "number") return "🌙";
@@ -697,23 +237,6 @@
     `;
   }
 
-  function computeMoonPenalty(moon, darknessContext) {
-    if (!moon || !darknessContext) return 0;
-
-    // If it's essentially daytime (or polar day), let the daylight penalty handle it
-    if (darknessContext.alwaysDaylight || darknessContext.isDaylightNow) {
-      return 0;
-    }
-
-    if (moon.isUp === false) return 0;
-
-    const illum = Math.min(1, Math.max(0, moon.illumination || 0));
-    if (illum < 0.1) return 0; // very dark Moon – negligible effect
-
-    const maxPenalty = 18; // max points full Moon can knock off
-    return maxPenalty * illum;
-  }
-
   // -------- App wiring --------
 
   function initApp() {
@@ -724,6 +247,9 @@
     const lpIndicatorInner = lpBadgeEl.querySelector(".lp-indicator-inner");
     const kpInputEl = document.getElementById("kp-input");
     const kpValueEl = document.getElementById("kp-value");
+    const kpHistoryEl = document.getElementById("kp-history");
+    const kpHistoryRangeEl = document.getElementById("kp-history-range");
+    const kpTrendEl = document.getElementById("kp-trend");
     const verdictContainer = document.querySelector("[data-role='aurora-verdict']");
     const verdictTextEl = document.getElementById("verdict-text");
     const verdictScoreEl = document.getElementById("verdict-score");
@@ -732,10 +258,26 @@
     const searchInputEl = document.getElementById("search-input");
     const searchButtonEl = document.getElementById("search-button");
     const gpsButtonEl = document.getElementById("gps-button");
+    const siteSelectEl = document.getElementById("site-select");
+    const siteSaveEl = document.getElementById("site-save");
+    const siteDefaultEl = document.getElementById("site-default");
+    const siteDeleteEl = document.getElementById("site-delete");
     const lpModeOptionsEl = document.getElementById("lp-mode-options");
     const lpModeHintEl = document.getElementById("lp-mode-hint");
+    const sqmInputEl = document.getElementById("sqm-input");
+    const sqmClearEl = document.getElementById("sqm-clear");
     const hourlyBarEl = document.getElementById("hourly-bar");
     const nextDarkSubtitleEl = document.getElementById("next-dark-subtitle");
+    const plannerGridEl = document.getElementById("planner-grid");
+    const plannerSubtitleEl = document.getElementById("planner-subtitle");
+    const compareInputEl = document.getElementById("compare-input");
+    const compareAddEl = document.getElementById("compare-add");
+    const compareRunEl = document.getElementById("compare-run");
+    const compareStatusEl = document.getElementById("compare-status");
+    const compareListEl = document.getElementById("compare-list");
+    const alertToggleEl = document.getElementById("alert-toggle");
+    const alertThresholdEl = document.getElementById("alert-threshold");
+    const alertStatusEl = document.getElementById("alert-status");
 
     // Tonight / classic panels
     const tonightTitleEl = document.getElementById("tonight-title");
@@ -749,31 +291,93 @@
     const detailDarknessEl = document.getElementById("detail-darkness");
     const detailCloudsEl = document.getElementById("detail-clouds");
     const detailMoonEl = document.getElementById("detail-moon");
+    const detailElevationEl = document.getElementById("detail-elevation");
     const auroraOvalImgEl = document.getElementById("aurora-oval-img");
     const auroraOvalStatusEl = document.getElementById("aurora-oval-status");
     const auroraOvalRefreshEl = document.getElementById("aurora-oval-refresh");
+    const auroraOvalLocalEl = document.getElementById("aurora-oval-local");
+    const timeZoneNoteEl = document.getElementById("time-zone-note");
+    const deviceTimeToggleEl = document.getElementById("device-time-toggle");
+    const evalTimeInputEl = document.getElementById("eval-time-input");
+    const evalTimeNowEl = document.getElementById("eval-time-now");
+    const evalTimeNoteEl = document.getElementById("eval-time-note");
+    const weightsFormEl = document.getElementById("weights-form");
+    const weightsResetEl = document.getElementById("weights-reset");
+    const weightsStatusEl = document.getElementById("weights-status");
+    const sightingIntensityEl = document.getElementById("sighting-intensity");
+    const sightingNotesEl = document.getElementById("sighting-notes");
+    const sightingSawEl = document.getElementById("sighting-saw");
+    const sightingMissedEl = document.getElementById("sighting-missed");
+    const sightingStatusEl = document.getElementById("sighting-status");
+    const sightingListEl = document.getElementById("sighting-list");
+    const calibrationBucketsEl = document.getElementById("calibration-buckets");
+    const calibrationSuggestionEl = document.getElementById("calibration-suggestion");
+    const calibrationApplyEl = document.getElementById("calibration-apply");
+    const dataSourcesListEl = document.getElementById("data-sources-list");
+    const verdictFallbackEl = document.getElementById("verdict-fallback");
+    const demoBannerEl = document.getElementById("demo-banner");
+    const offlineBannerEl = document.getElementById("offline-banner");
+    const shareButtonEl = document.getElementById("share-button");
+    const shareStatusEl = document.getElementById("share-status");
+    const searchStatusEl = document.getElementById("search-status");
+
+    const DEVICE_TIME_STORAGE_KEY = "a2kda_show_device_time";
 
     const state = {
       lat: null,
       lon: null,
       geomagneticLatitude: null,
       distanceToOvalKm: null,
+      ovalProbability: null, // OVATION % at the site, when the grid is loaded
+      ovalSource: "model", // 'model' | 'ovation'
+      ovalTowardsEquator: false,
+      hemisphere: "north", // 'north' | 'south', from state.lat
       lightPollution: 0.5,
       autoLightPollution: 0.5,
       lpMode: "auto", // 'auto' | 'dark' | 'suburban' | 'urban'
+      placeContext: null, // 'large-settlement' | 'settlement' | 'dark-nature' | null
+      sqmReading: null, // measured mag/arcsec² for this location, overrides the estimate
+      currentSiteId: null, // id of the saved site in use, if any
       kp: parseFloat(kpInputEl.value) || 3.5,
+      kpLive: false, // slider follows the live feed; off = the slider is a what-if value
+      kpForecast: [], // NOAA 3-hourly KP blocks: { start: Date, kp, kind }
+      compareExtraSites: [], // places entered just for the comparison (not saved)
+      kpHistory: [], // observed 3-hourly KP: { time: Date, kp }
+      kpHistoryHours: 24,
+      solarWind: null, // latest NOAA solar wind summary (Bz, speed, density)
       cloudCover: 0.2, // default cloud cover until live weather arrives
       hourlyCloudCover: [],
-      weatherSource: "pending",
+      weatherSource: "pending", // "live" | "fallback"
+      weatherProvider: null, // name of the provider that answered
       weatherUpdatedAt: null,
       locationShort: "your location",
+      locationSource: null, // sourceKind of the current location: gps, ip, search, saved, link…
+      timeZone: null, // site IANA timezone from the weather feed; null = device clock
+      showDeviceTime: false, // also label times in the device's clock
+      evaluationTime: null, // Date scored instead of the live clock; null = now
+      frozenNow: null, // demo mode's fixed "now"; null = the device clock
+      demo: null, // loaded demo scenario: { id, title, description, site }
+      weights: { ...DEFAULT_WEIGHTS }, // expert scoring weights and verdict thresholds
+      lastScoreInputs: null, // exact scoreSite() inputs behind the verdict shown
+      lastScore: null, // { score, verdict } currently shown
+      sightings: [], // sighting log records, oldest first
+      feedStatus: {}, // per feed, from the service worker: { url, fromCache, cachedAt }
+      feeds: {}, // data sources panel: { state, note, lastSuccess, lastError } per feed
+      suggestedWeights: null, // calibration suggestion from the sighting log
       darkness: null,
-      darknessLive: null,
+      moonNight: null, // moonrise/moonset and moon-free dark window for tonight
+      sunTimesLive: null, // raw sunrise-sunset.org results for the site
       darknessSource: "model"
     };
 
+    // -------- Clock --------
+    // Everything that asks for "now" goes through here so demo mode can freeze it
+    function clockNow() {
+      return state.frozenNow ? new Date(state.frozenNow) : new Date();
+    }
+
     function updateFooterTime() {
-      const now = new Date();
+      const now = clockNow();
       const timeStr = now.toLocaleString(undefined, {
         weekday: "short",
         hour: "2-digit",
@@ -782,139 +386,677 @@
       footerTimeEl.textContent = `Local time detected as ${timeStr}.`;
     }
 
-    function approxGeomagneticLatitude(lat) {
-      if (typeof lat !== "number") return null;
-      return lat - 11;
+    function computeGeomagneticLatitude(lat, lon, date) {
+      const coords = Geomagnetic.geographicToGeomagnetic(lat, lon, date);
+      return coords ? coords.lat : null;
     }
 
-    function approxDistanceToOvalKm(geomagLat) {
-      if (typeof geomagLat !== "number") return null;
-      const ovalLat = 67;
-      const deltaLat = Math.abs(geomagLat - ovalLat);
-      return deltaLat * 111;
+    // -------- Site time vs device time --------
+    // Device clock minus site clock in hours (0 until the site zone is known)
+    function deviceMinusSiteHours(date = clockNow()) {
+      if (!state.timeZone) return 0;
+      return zoneOffsetHours(date, null) - zoneOffsetHours(date, state.timeZone);
     }
 
-    function setLocationDisplay(options) {
-      const {
-        labelMain,
-        labelDetail,
-        sourceLabel,
-        sourceKind,
-        coordsText,
-        shortLabel
-      } = options;
-
-      if (labelMain) locMainEl.textContent = labelMain;
-      if (labelDetail) locDetailEl.textContent = labelDetail;
+    // Site-clock label, plus the device clock when asked for and different
+    function formatSiteHour(h) {
+      const label = formatHourLocal(h);
+      const diff = deviceMinusSiteHours();
+      if (!label || !state.showDeviceTime || diff === 0) return label;
+      return `${label} (${formatHourLocal(h + diff)} your time)`;
+    }
 
-      state.locationShort = shortLabel || labelMain || "your location";
+    function formatUtcOffset(hours) {
+      const sign = hours < 0 ? "−" : "+";
+      const abs = Math.abs(hours);
+      const whole = Math.floor(abs);
+      const minutes = Math.round((abs - whole) * 60);
+      return `UTC${sign}${whole}${minutes ? `:${String(minutes).padStart(2, "0")}` : ""}`;
+    }
 
-      locMetaEl.innerHTML = "";
-      const src = document.createElement("span");
-      src.className = "meta-pill";
-      src.textContent = `Source: ${sourceLabel}`;
-      locMetaEl.appendChild(src);
+    function updateTimeZoneNote() {
+      if (!timeZoneNoteEl) return;
 
-      if (coordsText) {
-        const coords = document.createElement("span");
-        coords.className = "meta-pill";
-        coords.textContent = coordsText;
-        locMetaEl.appendChild(coords);
+      const now = clockNow();
+      if (!state.timeZone) {
+        timeZoneNoteEl.textContent =
+          "Times use your device clock until the site’s time zone is known.";
+        return;
       }
 
-      if (sourceKind === "ip") {
-        src.style.borderColor = "rgba(234,179,8,0.9)";
-      } else if (sourceKind === "gps") {
-        src.style.borderColor = "rgba(34,197,94,0.9)";
-      } else if (sourceKind === "search") {
-        src.style.borderColor = "rgba(56,189,248,0.9)";
-      } else if (sourceKind === "default") {
-        src.style.borderColor = "rgba(96,165,250,0.9)";
-      }
+      const siteText = `${state.timeZone} (${formatUtcOffset(zoneOffsetHours(now, state.timeZone))})`;
+      timeZoneNoteEl.textContent =
+        deviceMinusSiteHours(now) === 0
+          ? `Times are local to the site: ${siteText}, same as your device.`
+          : `Times are local to the site: ${siteText}. Your device is on ${formatUtcOffset(
+              zoneOffsetHours(now, null)
+            )}.`;
+    }
 
-      tonightTitleEl.textContent = `Tonight at ${state.locationShort}`;
-      tonightLocationSubEl.textContent =
-        "Tonight’s view based on current KP and a simple sky model.";
+    function setSiteTimeZone(timeZone) {
+      const next = isValidTimeZone(timeZone) ? timeZone : null;
+      if (next === state.timeZone) return;
+      state.timeZone = next;
+      updateTimeZoneNote();
     }
 
-    function renderLightPollutionBadge(lpResult) {
-      if (!lpBadgeEl) return;
+    function initDeviceTimeToggle() {
+      if (!deviceTimeToggleEl) return;
 
-      if (!lpResult) {
-        lpBadgeEl.className = "lp-badge lp-badge-unknown";
-        lpBadgeEl.title =
-          "Light pollution estimate is unavailable – using a default middle-of-the-road value.";
-        lpBadgeEl.querySelector(".lp-badge-label-strong").textContent =
-          "Light pollution:";
-        lpBadgeEl.querySelector(".lp-badge-label").textContent = "unknown";
-        lpIndicatorInner.style.height = "50%";
-        return;
+      try {
+        state.showDeviceTime = window.localStorage.getItem(DEVICE_TIME_STORAGE_KEY) === "1";
+      } catch (_) {
+        state.showDeviceTime = false;
       }
+      deviceTimeToggleEl.checked = state.showDeviceTime;
 
-      const { normalized, classification } = lpResult;
-      lpBadgeEl.className = `lp-badge lp-badge-${classification.code}`;
-      lpBadgeEl.querySelector(".lp-badge-label-strong").textContent =
-        "Light pollution:";
-      lpBadgeEl.querySelector(".lp-badge-label").textContent =
-        classification.label;
-      lpBadgeEl.title = `Normalized light pollution: ${(
-        normalized * 100
-      ).toFixed(0)} / 100 (0 = dark, 100 = very bright)`;
+      deviceTimeToggleEl.addEventListener("change", () => {
+        state.showDeviceTime = deviceTimeToggleEl.checked;
+        try {
+          window.localStorage.setItem(DEVICE_TIME_STORAGE_KEY, state.showDeviceTime ? "1" : "0");
+        } catch (err) {
+          console.warn("Could not persist device time preference", err);
+        }
+        recomputeAurora();
+      });
 
-      const darkHeight = 10;
-      const brightHeight = 90;
-      const height = darkHeight + (brightHeight - darkHeight) * normalized;
-      lpIndicatorInner.style.height = `${height}%`;
+      updateTimeZoneNote();
     }
 
-    function updateDarknessUI(darkness) {
-      if (!chipDarknessEl || !detailDarknessEl || !darkness) return;
+    // -------- Evaluation time --------
+    // One moment drives darkness, moon, clouds, KP and the chart; null = now
+    function evaluationDate() {
+      return state.evaluationTime ? new Date(state.evaluationTime) : clockNow();
+    }
 
-      if (darkness.alwaysAstronomicalDark || (darkness.alwaysNight && !darkness.neverDark)) {
-        chipDarknessEl.textContent = "Dark all day at this time of year.";
-        detailDarknessEl.textContent =
-          "At your latitude and on this date the Sun stays well below the horizon, so the sky is effectively dark all day. Aurora visibility will be limited mainly by weather and light pollution.";
-        if (nextDarkSubtitleEl) {
-          nextDarkSubtitleEl.textContent =
-            "Viewing chance across representative hours – the sky stays fully dark at this time of year.";
-        }
-      } else if (darkness.neverDark) {
-        chipDarknessEl.textContent = "Sky never gets fully dark tonight.";
-        detailDarknessEl.textContent =
-          "The Sun never reaches full astronomical darkness (18° below the horizon) at this time of year. Very bright aurora may still be visible in the darkest hours.";
-        if (nextDarkSubtitleEl) {
-          nextDarkSubtitleEl.textContent =
-            "Late-night hours at this latitude; the sky stays in bright twilight rather than full darkness.";
-        }
-      } else if (darkness.hasAstronomicalNight) {
-        const start = formatHourLocal(darkness.astroDusk);
-        const end = formatHourLocal(darkness.astroDawn);
-        chipDarknessEl.textContent = `Dark enough from about ${start}–${end}.`;
+    function formatEvaluationTime(date) {
+      return date.toLocaleString(undefined, {
+        weekday: "short",
+        day: "numeric",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        timeZone: state.timeZone || undefined
+      });
+    }
 
-        const sunriseStr =
-          darkness.sunrise != null ? formatHourLocal(darkness.sunrise) : null;
-        const sunsetStr =
-          darkness.sunset != null ? formatHourLocal(darkness.sunset) : null;
-        let extra = "";
-        if (sunsetStr && sunriseStr) {
-          extra = ` (sunset ${sunsetStr}, sunrise ${sunriseStr})`;
-        }
+    // Live mode follows NOAA's forecast (or observed history) for the chosen
+    // moment; with live KP off the slider value is a what-if and used as-is.
+    function kpAtEvaluation(date) {
+      if (!state.kpLive) return { kp: state.kp, source: "manual" };
+      if (!state.evaluationTime) return { kp: state.kp, source: "live" };
 
-        const sourceNote =
-          darkness.source === "live-api"
-            ? "Times loaded from a live sunrise/sunset service for your coordinates."
-            : "We approximate astronomical-night when the Sun is 18° below the horizon.";
+      const forecast = forecastKpAt(date);
+      if (forecast != null) return { kp: forecast, source: "forecast" };
 
-        detailDarknessEl.textContent =
-          `${sourceNote} For today that gives a dark window from about ${start}–${end}${extra}.`;
+      const t = date.getTime();
+      const observed = state.kpHistory.find(
+        (h) => t >= h.time.getTime() && t < h.time.getTime() + 3 * 3600000
+      );
+      if (observed) return { kp: observed.kp, source: "observed" };
 
-        if (nextDarkSubtitleEl) {
-          nextDarkSubtitleEl.textContent =
-            `Aurora visibility score across key dark hours tonight (${start}–${end}) using live times for your location.`;
-        }
+      return { kp: state.kp, source: "live" };
+    }
+
+    function kpSourceText(kpInfo) {
+      const kp = kpInfo.kp.toFixed(1);
+      if (kpInfo.source === "forecast") return `NOAA forecast KP ${kp}`;
+      if (kpInfo.source === "observed") return `observed KP ${kp}`;
+      if (kpInfo.source === "manual") return `what-if KP ${kp} from the slider`;
+      return `current live KP ${kp}`;
+    }
+
+    // Live sunrise/sunset times only describe the day they were fetched for
+    function darknessAt(date) {
+      const liveMatches =
+        state.sunTimesLive &&
+        (!state.evaluationTime ||
+          isSameLocalDay(new Date(state.sunTimesLive.solar_noon), date, state.timeZone));
+      const live = liveMatches
+        ? buildDarknessFromLiveTimes(state.sunTimesLive, state.timeZone, date)
+        : null;
+      const darkness = live || computeDarknessInfo(state.lat, state.lon, date, state.timeZone);
+      if (darkness && !darkness.source) {
+        return { ...darkness, source: "model" };
+      }
+      return darkness;
+    }
+
+    function updateEvaluationUI() {
+      if (!evalTimeInputEl) return;
+
+      const at = evaluationDate();
+      const p = zonedParts(at, state.timeZone);
+      const pad = (n) => String(n).padStart(2, "0");
+      evalTimeInputEl.value = `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(
+        p.minute
+      )}`;
+
+      if (evalTimeNowEl) evalTimeNowEl.disabled = !state.evaluationTime;
+      if (!evalTimeNoteEl) return;
+
+      if (!state.evaluationTime) {
+        evalTimeNoteEl.textContent =
+          "Scoring right now. Pick a date and time to ask “what about Friday at 23:00?”.";
+        return;
+      }
+
+      const inForecast = !!cloudEntryForTime(at, state.hourlyCloudCover);
+      evalTimeNoteEl.textContent =
+        `Scoring ${formatEvaluationTime(at)} at the site with ${kpSourceText(
+          kpAtEvaluation(at)
+        )}` +
+        (inForecast
+          ? " and the hourly cloud forecast."
+          : "; the cloud forecast doesn’t reach that far, so current clouds are used.");
+    }
+
+    function setEvaluationTime(date) {
+      state.evaluationTime = date && !Number.isNaN(date.getTime()) ? date : null;
+      recomputeAurora();
+    }
+
+    function handleEvaluationTimeChange() {
+      // datetime-local gives "YYYY-MM-DDTHH:MM", read as the site's wall clock
+      const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(evalTimeInputEl.value);
+      if (!m) {
+        setEvaluationTime(null);
+        return;
+      }
+      setEvaluationTime(
+        dateFromLocalParts(
+          Number(m[1]),
+          Number(m[2]),
+          Number(m[3]),
+          Number(m[4]),
+          Number(m[5]),
+          state.timeZone
+        )
+      );
+    }
+
+    function initEvaluationTime() {
+      if (!evalTimeInputEl) return;
+
+      evalTimeInputEl.addEventListener("change", handleEvaluationTimeChange);
+      if (evalTimeNowEl) {
+        evalTimeNowEl.addEventListener("click", () => setEvaluationTime(null));
+      }
+      updateEvaluationUI();
+    }
+
+    // -------- Expert settings: scoring weights --------
+    const WEIGHTS_STORAGE_KEY = "a2kda_weights";
+
+    // Demo mode scores with the defaults and never touches the stored weights
+    function readWeights() {
+      if (state.demo) return { ...DEFAULT_WEIGHTS };
+      try {
+        const raw = window.localStorage.getItem(WEIGHTS_STORAGE_KEY);
+        return raw ? normalizeWeights(JSON.parse(raw)) : { ...DEFAULT_WEIGHTS };
+      } catch (_) {
+        return { ...DEFAULT_WEIGHTS };
+      }
+    }
+
+    function writeWeights(weights) {
+      if (state.demo) return;
+      try {
+        if (weights) {
+          window.localStorage.setItem(WEIGHTS_STORAGE_KEY, JSON.stringify(weights));
+        } else {
+          window.localStorage.removeItem(WEIGHTS_STORAGE_KEY);
+        }
+      } catch (err) {
+        console.warn("Could not persist scoring weights", err);
+      }
+    }
+
+    function weightInputs() {
+      return weightsFormEl ? Array.from(weightsFormEl.querySelectorAll("[data-weight]")) : [];
+    }
+
+    function updateWeightsStatus() {
+      if (!weightsStatusEl) return;
+      const changed = Object.keys(DEFAULT_WEIGHTS).filter(
+        (key) => state.weights[key] !== DEFAULT_WEIGHTS[key]
+      );
+      weightsStatusEl.textContent = changed.length
+        ? `Custom weights in use (${changed.length} changed) – the verdict, chart and alerts use them.`
+        : "Using the default weights.";
+      if (weightsResetEl) weightsResetEl.disabled = !changed.length;
+    }
+
+    function renderWeightsForm() {
+      weightInputs().forEach((el) => {
+        el.value = String(state.weights[el.dataset.weight]);
+      });
+      updateWeightsStatus();
+    }
+
+    // Typing previews live; the value is only saved (and tidied) on change
+    function readWeightsForm() {
+      const next = { ...state.weights };
+      weightInputs().forEach((el) => {
+        if (el.value !== "") next[el.dataset.weight] = Number(el.value);
+      });
+      return normalizeWeights(next);
+    }
+
+    function handleWeightInput() {
+      state.weights = readWeightsForm();
+      updateWeightsStatus();
+      recomputeAurora();
+    }
+
+    function handleWeightChange() {
+      state.weights = readWeightsForm();
+      writeWeights(state.weights);
+      renderWeightsForm();
+      recomputeAurora();
+      renderCalibration();
+    }
+
+    function resetWeights() {
+      state.weights = { ...DEFAULT_WEIGHTS };
+      writeWeights(null);
+      renderWeightsForm();
+      recomputeAurora();
+      renderCalibration();
+    }
+
+    function initExpertSettings() {
+      state.weights = readWeights();
+      if (!weightsFormEl) return;
+
+      weightsFormEl.addEventListener("input", handleWeightInput);
+      weightsFormEl.addEventListener("change", handleWeightChange);
+      if (weightsResetEl) weightsResetEl.addEventListener("click", resetWeights);
+      renderWeightsForm();
+    }
+
+    // -------- Sighting log and calibration --------
+    const SIGHTING_INTENSITY_LABELS = { 1: "faint", 2: "moderate", 3: "strong" };
+    const WEIGHT_LABELS = {
+      kpPoints: "KP",
+      locationPoints: "location",
+      ovalFalloffKm: "oval falloff",
+      cloudPoints: "clouds",
+      moonPoints: "Moon",
+      yesThreshold: "yes",
+      maybeThreshold: "maybe"
+    };
+
+    function setSightingStatus(text) {
+      if (sightingStatusEl) sightingStatusEl.textContent = text;
+    }
+
+    function formatSightingTime(record) {
+      return new Date(record.time).toLocaleString(undefined, {
+        day: "numeric",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        timeZone: record.timeZone || undefined
+      });
+    }
+
+    function renderSightings() {
+      if (!sightingListEl) return;
+      sightingListEl.innerHTML = "";
+
+      state.sightings
+        .slice(-10)
+        .reverse()
+        .forEach((record) => {
+          const score = Math.round(record.score);
+          const seenText = record.saw
+            ? `Seen (${SIGHTING_INTENSITY_LABELS[record.intensity] || "unrated"})`
+            : "Not seen";
+
+          const li = document.createElement("li");
+          li.className = "compare-item";
+          li.style.setProperty("--score-color", scoreColorForValue(score));
+          li.innerHTML = `
+            <div class=\"compare-rank\">${record.saw ? "✓" : "✗"}</div>
+            <div class=\"compare-main\">
+              <div class=\"compare-name\"></div>
+              <div class=\"compare-meta\">${seenText} · score ${score}% (${record.verdict})</div>
+              <div class=\"compare-meta sighting-notes\"></div>
+            </div>
+          `;
+          // Labels and notes are user text, so they never go through innerHTML
+          li.querySelector(".compare-name").textContent =
+            `${record.label} · ${formatSightingTime(record)}`;
+          li.querySelector(".sighting-notes").textContent = record.notes || "";
+
+          const del = document.createElement("button");
+          del.type = "button";
+          del.className = "btn btn-secondary compare-go";
+          del.textContent = "Delete";
+          del.addEventListener("click", () => deleteSighting(record.id));
+          li.appendChild(del);
+
+          sightingListEl.appendChild(li);
+        });
+    }
+
+    function renderCalibration() {
+      if (calibrationBucketsEl) {
+        calibrationBucketsEl.innerHTML = "";
+        hitRateByBucket(state.sightings).forEach((bucket) => {
+          const pct = bucket.hitRate == null ? 0 : Math.round(bucket.hitRate * 100);
+          const li = document.createElement("li");
+          li.className = "calibration-bucket";
+          li.style.setProperty("--score-color", scoreColorForValue(bucket.max - 1));
+          li.innerHTML = `
+            <span>Score ${bucket.min}–${bucket.max}</span>
+            <div class=\"calibration-bar\"><div class=\"calibration-bar-fill\" style=\"width: ${pct}%\"></div></div>
+            <span>${bucket.total ? `${bucket.seen}/${bucket.total} seen (${pct}%)` : "no logs"}</span>
+          `;
+          calibrationBucketsEl.appendChild(li);
+        });
+      }
+
+      const suggestion = suggestWeights(state.sightings, state.weights);
+      const changes = suggestion
+        ? Object.keys(WEIGHT_LABELS).filter((key) => suggestion.weights[key] !== state.weights[key])
+        : [];
+      state.suggestedWeights = changes.length ? suggestion.weights : null;
+      if (calibrationApplyEl) calibrationApplyEl.hidden = !state.suggestedWeights;
+      if (!calibrationSuggestionEl) return;
+
+      if (!suggestion) {
+        calibrationSuggestionEl.textContent =
+          "Log at least 10 nights, seen and not seen, to get suggested weights.";
+      } else if (!changes.length) {
+        calibrationSuggestionEl.textContent =
+          `Your current weights already fit your ${suggestion.count} logs best.`;
+      } else {
+        const list = changes
+          .map((key) => `${WEIGHT_LABELS[key]} ${state.weights[key]} → ${suggestion.weights[key]}`)
+          .join(", ");
+        calibrationSuggestionEl.textContent =
+          `From ${suggestion.count} logs (${suggestion.seen} seen): ${list}. ` +
+          `Error score ${suggestion.brierBefore.toFixed(3)} → ${suggestion.brierAfter.toFixed(3)}.`;
+      }
+    }
+
+    function refreshSightings() {
+      return SightingLog.list()
+        .then((records) => {
+          state.sightings = records;
+          renderSightings();
+          renderCalibration();
+        })
+        .catch((err) => {
+          console.warn("Sighting log unavailable", err);
+          setSightingStatus("The sighting log needs IndexedDB, which this browser doesn’t offer.");
+        });
+    }
+
+    function logSighting(saw) {
+      // Demo scores come from fixtures and would skew the calibration
+      if (state.demo) {
+        setSightingStatus("Sightings can’t be logged in demo mode.");
+        return;
+      }
+      if (!state.lastScoreInputs || !state.lastScore) {
+        setSightingStatus("Wait for a score before logging a sighting.");
+        return;
+      }
+
+      // The evaluation time stands in for "when", so past nights can be logged
+      const record = {
+        time: state.lastScoreInputs.time.toISOString(),
+        timeZone: state.timeZone,
+        lat: state.lat,
+        lon: state.lon,
+        label: state.locationShort,
+        saw,
+        intensity: saw && sightingIntensityEl ? Number(sightingIntensityEl.value) : null,
+        notes: sightingNotesEl ? sightingNotesEl.value.trim() : "",
+        score: state.lastScore.score,
+        verdict: state.lastScore.verdict,
+        inputs: state.lastScoreInputs
+      };
+
+      SightingLog.add(record)
+        .then(() => {
+          if (sightingNotesEl) sightingNotesEl.value = "";
+          setSightingStatus(
+            `Logged “${saw ? "seen" : "not seen"}” for ${formatSightingTime(record)} at score ${Math.round(record.score)}.`
+          );
+          return refreshSightings();
+        })
+        .catch((err) => {
+          console.warn("Could not save sighting", err);
+          setSightingStatus("Could not save this sighting.");
+        });
+    }
+
+    function deleteSighting(id) {
+      SightingLog.remove(id)
+        .then(refreshSightings)
+        .catch((err) => console.warn("Could not delete sighting", err));
+    }
+
+    function applySuggestedWeights() {
+      if (!state.suggestedWeights) return;
+      state.weights = { ...state.suggestedWeights };
+      writeWeights(state.weights);
+      renderWeightsForm();
+      recomputeAurora();
+      renderCalibration();
+    }
+
+    function initSightingLog() {
+      if (!sightingListEl) return;
+
+      if (sightingSawEl) sightingSawEl.addEventListener("click", () => logSighting(true));
+      if (sightingMissedEl) sightingMissedEl.addEventListener("click", () => logSighting(false));
+      if (calibrationApplyEl) calibrationApplyEl.addEventListener("click", applySuggestedWeights);
+      renderCalibration();
+      refreshSightings();
+    }
+
+    function hemisphereFor(lat) {
+      return typeof lat === "number" && lat < 0 ? "south" : "north";
+    }
+
+    // The oval is polewards, unless the site is in the polar cap beyond it
+    function horizonSide(hemisphere, towardsEquator = false) {
+      return (hemisphere === "south") !== towardsEquator ? "southern" : "northern";
+    }
+
+    function horizonHint(hemisphere, towardsEquator = false) {
+      const name = hemisphere === "south" ? "aurora australis" : "aurora borealis";
+      return `Look towards the ${horizonSide(hemisphere, towardsEquator)} horizon for the ${name}.`;
+    }
+
+    // The active location as hourInputs() wants it; the comparison builds its own
+    function activeSite() {
+      return {
+        lat: state.lat,
+        lon: state.lon,
+        lightPollution: state.lightPollution,
+        geomagneticLatitude: state.geomagneticLatitude,
+        hourlyClouds: state.hourlyCloudCover,
+        currentCloud: state.cloudCover,
+        fallbackCloudCover: 0.2
+      };
+    }
+
+    // Scoring inputs for one hour: the same hourInputs() the service worker's
+    // alerts use, with the page's live feeds
+    function hourInputsAt(hourDate, kp, site = activeSite()) {
+      return hourInputs(hourDate, {
+        ...site,
+        now: clockNow(),
+        kp,
+        solarWind: state.solarWind,
+        ovation: AuroraOval.current(),
+        weights: state.weights
+      });
+    }
+
+    function setLocationDisplay(options) {
+      const {
+        labelMain,
+        labelDetail,
+        sourceLabel,
+        sourceKind,
+        coordsText,
+        shortLabel
+      } = options;
+
+      if (labelMain) locMainEl.textContent = labelMain;
+      if (labelDetail) locDetailEl.textContent = labelDetail;
+
+      state.locationShort = shortLabel || labelMain || "your location";
+      state.locationSource = sourceKind || null;
+
+      locMetaEl.innerHTML = "";
+      const src = document.createElement("span");
+      src.className = "meta-pill";
+      src.textContent = `Source: ${sourceLabel}`;
+      locMetaEl.appendChild(src);
+
+      if (coordsText) {
+        const coords = document.createElement("span");
+        coords.className = "meta-pill";
+        coords.textContent = coordsText;
+        locMetaEl.appendChild(coords);
+      }
+
+      if (sourceKind === "ip") {
+        src.style.borderColor = "rgba(234,179,8,0.9)";
+      } else if (sourceKind === "gps") {
+        src.style.borderColor = "rgba(34,197,94,0.9)";
+      } else if (sourceKind === "search") {
+        src.style.borderColor = "rgba(56,189,248,0.9)";
+      } else if (sourceKind === "default") {
+        src.style.borderColor = "rgba(96,165,250,0.9)";
+      } else if (sourceKind === "saved") {
+        src.style.borderColor = "rgba(167,139,250,0.9)";
+      } else if (sourceKind === "demo") {
+        src.style.borderColor = "rgba(244,114,182,0.9)";
+      } else if (sourceKind === "link") {
+        src.style.borderColor = "rgba(45,212,191,0.9)";
+      }
+
+      // Any new location other than a saved site detaches from the chooser
+      // and drops the previous place's SQM reading
+      if (sourceKind !== "saved") {
+        state.currentSiteId = null;
+        setSqmReading(null);
+        renderSiteChooser();
+      }
+
+      // The new site's zone arrives with its weather; until then use the device clock
+      setSiteTimeZone(null);
+
+      tonightTitleEl.textContent = `Tonight at ${state.locationShort}`;
+      tonightLocationSubEl.textContent =
+        "Tonight’s view based on current KP and a simple sky model.";
+    }
+
+    function renderLightPollutionBadge(lpResult) {
+      if (!lpBadgeEl) return;
+
+      if (!lpResult) {
+        lpBadgeEl.className = "lp-badge lp-badge-unknown";
+        lpBadgeEl.title =
+          "Light pollution estimate is unavailable – using a default middle-of-the-road value.";
+        lpBadgeEl.querySelector(".lp-badge-label-strong").textContent =
+          "Light pollution:";
+        lpBadgeEl.querySelector(".lp-badge-label").textContent = "unknown";
+        lpIndicatorInner.style.height = "50%";
+        return;
+      }
+
+      const { normalized, classification, bortleClass, skyBrightness } = lpResult;
+      lpBadgeEl.className = `lp-badge lp-badge-${classification.code}`;
+      lpBadgeEl.querySelector(".lp-badge-label-strong").textContent =
+        "Light pollution:";
+      lpBadgeEl.querySelector(".lp-badge-label").textContent =
+        classification.label;
+
+      const approx = lpResult.estimated ? "~" : "";
+      const detailEl = lpBadgeEl.querySelector(".lp-badge-detail");
+      if (detailEl) {
+        detailEl.textContent =
+          typeof bortleClass === "number" && typeof skyBrightness === "number"
+            ? `Bortle ${approx}${bortleClass} · ${approx}${skyBrightness.toFixed(2)} mag/arcsec²`
+            : "";
+      }
+
+      const sourceText =
+        lpResult.source === "sqm-reading"
+          ? "Your SQM reading"
+          : lpResult.source === "world-atlas-grid"
+          ? "World Atlas grid"
+          : lpResult.source === "manual"
+          ? "Your chosen sky type"
+          : "Latitude-based estimate";
+      lpBadgeEl.title = `${sourceText}. Normalized light pollution: ${(
+        normalized * 100
+      ).toFixed(0)} / 100 (0 = dark, 100 = very bright)`;
+
+      const darkHeight = 10;
+      const brightHeight = 90;
+      const height = darkHeight + (brightHeight - darkHeight) * normalized;
+      lpIndicatorInner.style.height = `${height}%`;
+    }
+
+    function updateDarknessUI(darkness) {
+      if (!chipDarknessEl || !detailDarknessEl || !darkness) return;
+
+      if (darkness.alwaysAstronomicalDark || (darkness.alwaysNight && !darkness.neverDark)) {
+        chipDarknessEl.textContent = "Dark all day at this time of year.";
+        detailDarknessEl.textContent =
+          "At your latitude and on this date the Sun stays well below the horizon, so the sky is effectively dark all day. Aurora visibility will be limited mainly by weather and light pollution.";
+        if (nextDarkSubtitleEl) {
+          nextDarkSubtitleEl.textContent =
+            "Viewing chance across representative hours – the sky stays fully dark at this time of year.";
+        }
+      } else if (darkness.neverDark) {
+        chipDarknessEl.textContent = "Sky never gets fully dark tonight.";
+        detailDarknessEl.textContent =
+          "The Sun never reaches full astronomical darkness (18° below the horizon) at this time of year. Very bright aurora may still be visible in the darkest hours.";
+        if (nextDarkSubtitleEl) {
+          nextDarkSubtitleEl.textContent =
+            "Late-night hours at this latitude; the sky stays in bright twilight rather than full darkness.";
+        }
+      } else if (darkness.hasAstronomicalNight) {
+        const start = formatSiteHour(darkness.astroDusk);
+        const end = formatSiteHour(darkness.astroDawn);
+        chipDarknessEl.textContent = `Dark enough from about ${start}–${end}.`;
+
+        const sunriseStr =
+          darkness.sunrise != null ? formatSiteHour(darkness.sunrise) : null;
+        const sunsetStr =
+          darkness.sunset != null ? formatSiteHour(darkness.sunset) : null;
+        let extra = "";
+        if (sunsetStr && sunriseStr) {
+          extra = ` (sunset ${sunsetStr}, sunrise ${sunriseStr})`;
+        }
+
+        const sourceNote =
+          darkness.source === "live-api"
+            ? "Times loaded from a live sunrise/sunset service for your coordinates."
+            : "We approximate astronomical-night when the Sun is 18° below the horizon.";
+
+        detailDarknessEl.textContent =
+          `${sourceNote} For today that gives a dark window from about ${start}–${end}${extra}.`;
+
+        if (nextDarkSubtitleEl) {
+          nextDarkSubtitleEl.textContent =
+            `Aurora visibility score across key dark hours tonight (${start}–${end}) using live times for your location.`;
+        }
       } else if (darkness.hasDay) {
-        const sunriseStr = formatHourLocal(darkness.sunrise);
-        const sunsetStr = formatHourLocal(darkness.sunset);
+        const sunriseStr = formatSiteHour(darkness.sunrise);
+        const sunsetStr = formatSiteHour(darkness.sunset);
         chipDarknessEl.textContent = `Roughly dark between sunset ${sunsetStr} and sunrise ${sunriseStr}.`;
         detailDarknessEl.textContent =
           "We estimate sunrise and sunset with a simple solar model based on your latitude, longitude and date. In a future version we’ll refine twilight handling further.";
@@ -931,6 +1073,10 @@
             "Prototype bar chart – darkness timings are unavailable for this location.";
         }
       }
+
+      if (nextDarkSubtitleEl) {
+        nextDarkSubtitleEl.textContent += ` ${horizonHint(state.hemisphere, state.ovalTowardsEquator)}`;
+      }
     }
 
     function updateTonightSummary(result) {
@@ -948,7 +1094,7 @@
       tonightChanceEl.textContent = label;
       tonightChanceEl.className = `tonight-chance ${cls}`;
 
-      const kp = state.kp;
+      const kp = typeof result.kp === "number" ? result.kp : state.kp;
       let activityText = "Low";
       if (kp >= 7) activityText = "Very high";
       else if (kp >= 5) activityText = "High";
@@ -956,10 +1102,62 @@
 
       chipAuroraEl.textContent = activityText;
 
+      const geomagLat = state.geomagneticLatitude;
+      const latPart =
+        typeof geomagLat === "number"
+          ? `at your geomagnetic latitude of ${geomagLat.toFixed(1)}°`
+          : "with your latitude";
+      const ovalName =
+        state.ovalSource === "ovation" ? "the forecast oval edge" : "the oval expected at this KP";
+      let ovalPart = "";
+      if (typeof state.distanceToOvalKm === "number") {
+        ovalPart =
+          state.distanceToOvalKm < 10
+            ? ` (${state.ovalSource === "ovation" ? "right at" : "inside"} ${ovalName})`
+            : ` (about ${Math.round(state.distanceToOvalKm / 10) * 10} km from ${ovalName})`;
+      }
+
       tonightGeomagEl.textContent =
-        `KP index ${kp.toFixed(1)} with your latitude gives a ` +
+        `KP index ${kp.toFixed(1)} ${latPart}${ovalPart} gives a ` +
         `${activityText.toLowerCase()} level of geomagnetic activity; ` +
-        `clouds and moonlight are now factored in using a simple v1 model.`;
+        `clouds and moonlight are now factored in using a simple v1 model. ` +
+        horizonHint(state.hemisphere, state.ovalTowardsEquator);
+    }
+
+    // How high the display should reach, from the distance to the oval edge
+    function updateElevationUI(result) {
+      if (!detailElevationEl) return;
+      const elevation = result.auroraElevation;
+      if (!elevation) {
+        detailElevationEl.textContent =
+          "We’ll estimate how high the aurora appears once we know your geomagnetic latitude.";
+        return;
+      }
+
+      const ovation = state.ovalSource === "ovation";
+      const direction = horizonSide(state.hemisphere, state.ovalTowardsEquator);
+      const top = Math.round(elevation.top);
+      const bottom = Math.round(elevation.bottom);
+      const source = ovation ? "NOAA’s forecast oval edge" : "the oval expected at this KP";
+      const distanceText = `${Math.round(elevation.distanceKm / 10) * 10} km to ${source}`;
+
+      if (elevation.distanceKm < 10) {
+        detailElevationEl.textContent = ovation
+          ? `You are under or poleward of ${source}, so the aurora can appear overhead and anywhere in the sky.`
+          : `You are inside ${source}, so the aurora can appear overhead and anywhere in the sky.`;
+      } else if (top < 0) {
+        detailElevationEl.textContent =
+          `With ${distanceText}, even 300 km-high rays stay about ${-top}° below the ${direction} horizon – ` +
+          "only a stronger storm would bring them into view.";
+      } else if (bottom < 0) {
+        detailElevationEl.textContent =
+          `With ${distanceText}, only the tops of the rays would show, up to about ${top}° above the ${direction} horizon. ` +
+          "You’ll need a clear, flat view that way.";
+      } else {
+        detailElevationEl.textContent =
+          `With ${distanceText}, expect the display from about ${bottom}° to ${top}° above the ${direction} horizon ` +
+          "(emission heights of 100–300 km).";
+      }
     }
 
     function renderAuroraVerdict(result, context) {
@@ -969,6 +1167,7 @@
           ? context.localHour
           : null;
       const darkness = context && context.darkness ? context.darkness : null;
+      const evaluating = !!(context && context.evaluating);
 
       let isDaytime = false;
       if (darkness) {
@@ -980,29 +1179,33 @@
 
       verdictContainer.dataset.state = verdict;
 
+      const horizon = state.hemisphere === "south" ? "southern" : "northern";
+
       // Base text from final score/verdict
       if (verdict === "yes") {
         verdictTextEl.textContent =
-          "Conditions look good – you have a solid chance of seeing aurora from here. 🌌";
+          `Conditions look good – you have a solid chance of seeing aurora from here. Face the ${horizon} horizon. 🌌`;
       } else if (verdict === "maybe") {
         verdictTextEl.textContent =
-          "It’s possible, but conditions are borderline. A darker spot or higher KP would really help.";
+          `It’s possible, but conditions are borderline. Watch the ${horizon} horizon – a darker spot or higher KP would really help.`;
       } else {
-        verdictTextEl.textContent =
-          "It’s unlikely right now. You’d need much stronger activity or darker skies.";
+        verdictTextEl.textContent = `It’s unlikely ${
+          evaluating ? "at that time" : "right now"
+        }. You’d need much stronger activity or darker skies.`;
       }
 
       // Daylight override, using solar model where possible
       if (isDaytime) {
-        let msg =
-          "It’s currently daylight at your location, so you won’t see the aurora until after dark.";
+        let msg = evaluating
+          ? "It’s daylight at your location at that time, so you won’t see the aurora until after dark."
+          : "It’s currently daylight at your location, so you won’t see the aurora until after dark.";
         if (darkness && (darkness.hasAstronomicalNight || darkness.alwaysAstronomicalDark)) {
           if (darkness.alwaysAstronomicalDark) {
             msg += " The sky stays fully dark throughout this date at your latitude.";
           } else {
-            const start = formatHourLocal(darkness.astroDusk);
-            const end = formatHourLocal(darkness.astroDawn);
-            msg += ` Tonight it should be dark enough roughly between ${start} and ${end}.`;
+            const start = formatSiteHour(darkness.astroDusk);
+            const end = formatSiteHour(darkness.astroDawn);
+            msg += ` Tonight it should be dark enough roughly between ${start} and ${end}; face the ${horizon} horizon.`;
           }
         }
         verdictTextEl.textContent = msg;
@@ -1026,8 +1229,8 @@
                 li.textContent =
                   "The Sun is above the horizon right now, but remains well below -18° at night – the sky is fully dark when the Sun is down.";
               } else {
-                const start = formatHourLocal(darkness.astroDusk);
-                const end = formatHourLocal(darkness.astroDawn);
+                const start = formatSiteHour(darkness.astroDusk);
+                const end = formatSiteHour(darkness.astroDawn);
                 li.textContent =
                   `It is too bright to see aurora at the moment; your main dark window is roughly ${start}–${end}.`;
               }
@@ -1041,8 +1244,8 @@
             debugListEl.appendChild(li);
           } else if (darkness.hasAstronomicalNight && darkness.isDarkNow) {
             const li = document.createElement("li");
-            const start = formatHourLocal(darkness.astroDusk);
-            const end = formatHourLocal(darkness.astroDawn);
+            const start = formatSiteHour(darkness.astroDusk);
+            const end = formatSiteHour(darkness.astroDawn);
             li.textContent =
               `You are within the main dark window (${start}–${end}) for your location.`;
             debugListEl.appendChild(li);
@@ -1058,123 +1261,102 @@
       updateTonightSummary(result);
     }
 
-    function clamp01(v) {
-      if (typeof v !== "number" || Number.isNaN(v)) return null;
-      return Math.min(1, Math.max(0, v));
+    // "L 10 · M 60 · H 80" for a cloud entry with layer data
+    function cloudLayersText(clouds) {
+      if (!clouds || (clouds.low == null && clouds.mid == null && clouds.high == null)) {
+        return "";
+      }
+      const pct = (v) => (typeof v === "number" ? Math.round(v * 100) : "–");
+      return `L ${pct(clouds.low)} · M ${pct(clouds.mid)} · H ${pct(clouds.high)}`;
     }
 
     // Live clouds UI (driven by weather API when available)
-    function updateCloudsUI() {
+    function updateCloudsUI(at = evaluationDate()) {
       if (!chipCloudsEl || !detailCloudsEl) return;
 
-      const pct =
-        typeof state.cloudCover === "number"
-          ? Math.round(state.cloudCover * 100)
-          : null;
+      const clouds = cloudEntryForTime(at, state.hourlyCloudCover);
+      const cover = state.evaluationTime && clouds ? clouds.cover : state.cloudCover;
+      const pct = typeof cover === "number" ? Math.round(cover * 100) : null;
+      const sky = clouds ? AuroraBrain.cloudObscuration(clouds) : null;
+
       let desc = "Mostly clear";
       if (pct != null) {
         if (pct >= 70) desc = "Heavily overcast";
         else if (pct >= 40) desc = "Partly cloudy";
+        // Thin cirrus reads as "cloudy" but barely hides the aurora
+        if (sky && sky.layered && pct >= 40 && sky.obscuration < 0.4) {
+          desc = "Mostly high, thin cloud";
+        }
       } else {
         desc = "Cloud data unavailable";
       }
 
       const pctText = pct != null ? `~${pct}% cloud` : "using fallback";
-      chipCloudsEl.textContent = `${desc} (${pctText}).`;
+      const layerText = cloudLayersText(clouds);
+      chipCloudsEl.textContent = `${desc} (${pctText}${layerText ? `; ${layerText}` : ""}).`;
 
-      if (state.weatherSource === "open-meteo" && state.weatherUpdatedAt) {
+      if (state.weatherSource === "live" && state.weatherUpdatedAt) {
         const updated = state.weatherUpdatedAt.toLocaleTimeString(undefined, {
           hour: "2-digit",
           minute: "2-digit"
         });
-        detailCloudsEl.textContent = `Live cloud cover from Open-Meteo for your coordinates. Last updated ${updated}.`;
+        const extras = [];
+        if (clouds && typeof clouds.visibility === "number") {
+          extras.push(`visibility ${(clouds.visibility / 1000).toFixed(clouds.visibility < 10000 ? 1 : 0)} km`);
+        }
+        if (clouds && typeof clouds.precipitationProbability === "number") {
+          extras.push(`${Math.round(clouds.precipitationProbability * 100)}% chance of precipitation`);
+        }
+        const layerDetail =
+          sky && sky.layered
+            ? ` Low, mid and high cloud are weighted separately: about ${Math.round(
+                sky.obscuration * 100
+              )}% of the sky is effectively hidden${extras.length ? ` (${extras.join(", ")})` : ""}.`
+            : "";
+        detailCloudsEl.textContent = `Live cloud cover from ${state.weatherProvider} for your coordinates. Last updated ${updated}.${layerDetail}`;
       } else {
         detailCloudsEl.textContent =
           "Using a fallback 20% cloud cover until live weather can be fetched for your location.";
       }
     }
 
-    function mapCloudCoverForTime(targetDate) {
-      if (!state.hourlyCloudCover || !state.hourlyCloudCover.length) {
-        return null;
-      }
-
-      const targetTs = targetDate.getTime();
-      let best = null;
-
-      state.hourlyCloudCover.forEach((entry) => {
-        if (!entry || !entry.time || typeof entry.cover !== "number") return;
-        const diff = Math.abs(entry.time.getTime() - targetTs);
-        if (!best || diff < best.diff) {
-          best = { cover: entry.cover, diff };
-        }
-      });
+    // Current + hourly cloud cover for any site: { cloud, hourly, timeZone }
+    async function fetchWeatherForSite(lat, lon) {
+      return (await fetchFeed("weather", { lat, lon })).data;
+    }
 
-      // Only trust reasonably close hourly values (within ~90 minutes)
-      if (best && best.diff <= 90 * 60 * 1000) {
-        return best.cover;
-      }
+    // Data sources note and error when a fallback provider had to answer
+    function providerNote(result) {
+      if (result.provider.fixture) return "demo fixture";
+      return result.failures.length ? `via ${result.provider.name}` : "";
+    }
 
-      return best ? best.cover : null;
+    function providerError(result) {
+      const last = result.failures[result.failures.length - 1];
+      return last ? last.error : null;
     }
 
     async function refreshWeather(lat, lon) {
       try {
         if (typeof lat !== "number" || typeof lon !== "number") return;
 
-        const url =
-          "https://api.open-meteo.com/v1/forecast?hourly=cloud_cover&current_weather=true&forecast_days=2&timezone=auto&latitude=" +
-          encodeURIComponent(lat) +
-          "&longitude=" +
-          encodeURIComponent(lon);
+        const result = await fetchFeed("weather", { lat, lon });
+        const { cloud, hourly, timeZone } = result.data;
 
-        const res = await fetch(url, { headers: { Accept: "application/json" } });
-        if (!res.ok) {
-          throw new Error("Weather fetch failed with status " + res.status);
-        }
-
-        const data = await res.json();
-
-        let cloud = null;
-        if (
-          data.current_weather &&
-          typeof data.current_weather.cloudcover === "number"
-        ) {
-          cloud = clamp01(data.current_weather.cloudcover / 100);
-        }
-
-        const hourly = [];
-        if (
-          data.hourly &&
-          Array.isArray(data.hourly.time) &&
-          Array.isArray(data.hourly.cloud_cover)
-        ) {
-          const len = Math.min(
-            data.hourly.time.length,
-            data.hourly.cloud_cover.length
-          );
-          for (let i = 0; i < len; i++) {
-            const t = data.hourly.time[i];
-            const c = data.hourly.cloud_cover[i];
-            if (typeof c !== "number") continue;
-            const parsed = new Date(t);
-            if (Number.isNaN(parsed.getTime())) continue;
-            const cover = clamp01(c / 100);
-            if (cover == null) continue;
-            hourly.push({ time: parsed, cover });
-          }
-        }
-
-        if (cloud == null && hourly.length) {
-          cloud = hourly[0].cover;
+        if (timeZone) {
+          setSiteTimeZone(timeZone);
+          const site = state.currentSiteId ? SavedSites.get(state.currentSiteId) : null;
+          if (site && site.timeZone !== timeZone) SavedSites.save({ ...site, timeZone });
         }
 
         if (cloud != null) {
           state.cloudCover = cloud;
         }
         state.hourlyCloudCover = hourly;
-        state.weatherSource = "open-meteo";
-        state.weatherUpdatedAt = new Date();
+        state.weatherSource = "live";
+        state.weatherProvider = result.provider.name;
+        state.weatherUpdatedAt = clockNow();
+        setFeedState("weather", "live", providerNote(result), providerError(result));
 
         updateCloudsUI();
         recomputeAurora();
@@ -1184,67 +1366,163 @@
         if (typeof state.cloudCover !== "number") {
           state.cloudCover = 0.2;
         }
+        // Earlier live clouds are kept; otherwise it is the fixed default
+        const pct = Math.round(state.cloudCover * 100);
+        setFeedState(
+          "weather",
+          "fallback",
+          state.weatherUpdatedAt ? `last known ${pct}% cloud cover` : `fixed ${pct}% cloud cover`,
+          err
+        );
         updateCloudsUI();
         recomputeAurora();
       }
     }
 
     // v1: Moon UI
-    function updateMoonUI(moon) {
+    function formatSiteTime(date) {
+      return formatSiteHour(localHourIn(date, state.timeZone));
+    }
+
+    // "Rises 22:14 · sets 13:05" for the night, or the all-night case
+    function moonTimesText(moonNight) {
+      if (!moonNight) return "";
+      if (moonNight.alwaysUp) return "Up all night.";
+      if (moonNight.alwaysDown) return "Stays below the horizon all night.";
+
+      const parts = [];
+      if (moonNight.rise) parts.push(`rises ${formatSiteTime(moonNight.rise)}`);
+      if (moonNight.set) parts.push(`sets ${formatSiteTime(moonNight.set)}`);
+      const text = parts.join(", ");
+      return text ? `${text.charAt(0).toUpperCase()}${text.slice(1)}.` : "";
+    }
+
+    function moonFreeText(moonNight) {
+      if (!moonNight) return "";
+      if (!moonNight.moonFree) return "There is no moon-free dark window tonight.";
+      return `Moon-free dark window ${formatSiteTime(moonNight.moonFree.start)}–${formatSiteTime(
+        moonNight.moonFree.end
+      )}.`;
+    }
+
+    function updateMoonUI(moon, moonNight) {
       if (!chipMoonEl || !detailMoonEl || !moon) return;
       const pct = Math.round((moon.illumination || 0) * 100);
       const baseText = `${moon.phaseName} (~${pct}% illuminated).`;
-      chipMoonEl.textContent = moon.isUp === false ? `Moon below horizon. ${baseText}` : baseText;
+      const timesText = moonTimesText(moonNight);
+      chipMoonEl.textContent =
+        (moon.isUp === false ? `Moon below horizon. ${baseText}` : baseText) +
+        (timesText ? ` ${timesText}` : "");
+
+      const windowPart = moonNight ? ` ${moonFreeText(moonNight)}` : "";
 
       if (moon.isUp === false) {
         detailMoonEl.textContent =
-          "The Moon is currently below the horizon at your location, so it will not brighten the sky until it rises.";
+          "The Moon is currently below the horizon at your location, so it will not brighten the sky until it rises." +
+          windowPart;
         return;
       }
 
       const altitudePart =
         typeof moon.altitude === "number"
-          ? ` It is about ${moon.altitude.toFixed(0)}° above the horizon at the selected time.`
+          ? ` It is about ${moon.altitude.toFixed(0)}° above the horizon at the selected time; a low Moon brightens the sky less than a high one.`
           : "";
 
       detailMoonEl.textContent =
-        "We use an approximate Moon phase model to estimate how much the Moon brightens the sky, including whether it is above your horizon." +
-        altitudePart;
+        "We use an approximate Moon phase and position model to estimate how much the Moon brightens the sky." +
+        altitudePart +
+        windowPart;
+    }
+
+    // Raw sunrise/sunset.org results (UTC instants) for any site
+    async function fetchSunTimes(lat, lon) {
+      return (await fetchFeed("sunTimes", { lat, lon })).data;
     }
 
     async function refreshDarknessFromSunriseSunset(lat, lon) {
       try {
         if (typeof lat !== "number" || typeof lon !== "number") return;
-        const url =
-          "https://api.sunrise-sunset.org/json?formatted=0&lat=" +
-          encodeURIComponent(lat) +
-          "&lng=" +
-          encodeURIComponent(lon);
-
-        const res = await fetch(url, { headers: { Accept: "application/json" } });
-        if (!res.ok) {
-          throw new Error("Sunrise-sunset fetch failed with status " + res.status);
-        }
-
-        const data = await res.json();
-        if (!data || data.status !== "OK" || !data.results) {
-          throw new Error("Unexpected sunrise-sunset response");
-        }
 
-        const live = buildDarknessFromLiveTimes(data.results);
-        if (live) {
-          state.darknessLive = live;
+        const result = await fetchFeed("sunTimes", { lat, lon });
+        const results = result.data;
+        if (buildDarknessFromLiveTimes(results, state.timeZone)) {
+          state.sunTimesLive = results;
           state.darknessSource = "live-api";
+          setFeedState("sun", "live", providerNote(result), providerError(result));
           recomputeAurora();
+        } else {
+          setFeedState("sun", "fallback", "modelled sunrise and sunset");
         }
       } catch (err) {
         console.warn("Falling back to model darkness times", err);
-        state.darknessLive = null;
+        state.sunTimesLive = null;
+        setFeedState("sun", "fallback", "modelled sunrise and sunset", err);
       }
     }
 
+    function scoreColorForValue(value) {
+      if (value >= 70) return "#3cfba6";
+      if (value >= 40) return "#38bdf8";
+      return "#f97316";
+    }
+
+    // Short sky-state label for an hourly cell
+    function skyLabelForAltitude(altitudeDeg, isDayHour) {
+      if (typeof altitudeDeg !== "number") return isDayHour ? "Daylight" : "Dark";
+      const phase = twilightPhase(altitudeDeg);
+      if (phase === "daylight") return "Daylight";
+      if (phase === "night") return "Dark";
+      if (phase === "civil twilight") return "Civil twilight";
+      if (phase === "nautical twilight") return "Nautical tw.";
+      return "Astro twilight";
+    }
+
+    // Page-side wrapper around scoreHour for one chart or planner cell.
+    // `kpOverride` lets the planner use forecast KP for that hour.
+    function scoreHourEntry(hourDate, darkness, baseInputs, kpOverride) {
+      const kp = typeof kpOverride === "number" ? kpOverride : baseInputs.kp;
+      const inputs = hourInputsAt(hourDate, kp);
+      const clouds = inputs.clouds;
+
+      const hour = scoreHour(hourDate, darkness, inputs);
+      const moonForHour = hour.moon;
+
+      const scoreRounded = Math.round(hour.score);
+      const scoreColor = scoreColorForValue(scoreRounded);
+
+      const cloudPct =
+        typeof inputs.cloudCover === "number"
+          ? Math.round(inputs.cloudCover * 100)
+          : null;
+
+      const moonPct = Math.round(
+        moonForHour && moonForHour.isUp ? (moonForHour.illumination || 0) * 100 : 0
+      );
+
+      return {
+        date: hourDate,
+        localHour: hour.localHour,
+        label: formatHourLocal(hour.localHour),
+        deviceLabel:
+          state.showDeviceTime && deviceMinusSiteHours(hourDate) !== 0
+            ? formatHourLocal(hour.localHour + deviceMinusSiteHours(hourDate))
+            : null,
+        kp,
+        scoreRounded,
+        scoreColor,
+        cloudPct,
+        cloudLayers: cloudLayersText(clouds),
+        moonPct,
+        moonIsUp: moonForHour ? moonForHour.isUp !== false : true,
+        moonAltitude: moonForHour ? moonForHour.altitude : null,
+        isDayHour: hour.isDayHour,
+        skyLabel: skyLabelForAltitude(hour.sunAltitude, hour.isDayHour)
+      };
+    }
+
     // -------- Hourly chart: uses darkness + clouds + moon + brain --------
-    function renderHourlyChart(darkness, baseInputs, moonInfo) {
+    // `at` is the evaluation time: the chart covers the night around it
+    function renderHourlyChart(darkness, baseInputs, moonInfo, at) {
       if (!hourlyBarEl) return;
 
       hourlyBarEl.innerHTML = "";
@@ -1267,12 +1545,6 @@
         });
       };
 
-      const scoreColorForValue = (value) => {
-        if (value >= 70) return "#3cfba6";
-        if (value >= 40) return "#38bdf8";
-        return "#f97316";
-      };
-
       const addPlaceholderRows = (count = 8) => {
         const timeRow = document.createElement("div");
         timeRow.className = "hourly-row";
@@ -1320,171 +1592,64 @@
 
         const moonRow = document.createElement("div");
         moonRow.className = "hourly-row";
-        moonRow.innerHTML = renderMoonLabel(computeMoonInfo(new Date()));
-        const moonTrack = document.createElement("div");
-        moonTrack.className = "hourly-row-track";
-        for (let i = 0; i < count; i++) {
-          const cell = document.createElement("div");
-          cell.className = "hour-cell hour-cell-note";
-          cell.textContent = "--";
-          moonTrack.appendChild(cell);
-        }
-        moonRow.appendChild(moonTrack);
-
-        attachScrollSync([timeTrack, scoreTrack, cloudTrack, moonTrack]);
-
-        hourlyBarEl.appendChild(timeRow);
-        hourlyBarEl.appendChild(scoreRow);
-        hourlyBarEl.appendChild(cloudRow);
-        hourlyBarEl.appendChild(moonRow);
-      };
-
-      if (!state.lat || !state.lon || !darkness) {
-        addPlaceholderRows();
-        return;
-      }
-
-      const now = new Date();
-      const hourNow = now.getHours() + now.getMinutes() / 60;
-      const moon = moonInfo || computeMoonInfo(now, state.lat, state.lon);
-
-      const hourDates = [];
-      const buildDateForHour = (hourValue, baseDate) => {
-        const d = new Date(baseDate);
-        d.setHours(0, 0, 0, 0);
-        const hoursWhole = Math.floor(hourValue);
-        const minutes = Math.round((hourValue - hoursWhole) * 60);
-        d.setHours(hoursWhole, minutes, 0, 0);
-        return d;
-      };
-
-      if (
-        darkness.hasAstronomicalNight &&
-        darkness.astroDusk != null &&
-        darkness.astroDawn != null
-      ) {
-        const duskDate = buildDateForHour(darkness.astroDusk, now);
-        const dawnDate = buildDateForHour(darkness.astroDawn, duskDate);
-        if (dawnDate <= duskDate) {
-          dawnDate.setDate(dawnDate.getDate() + 1);
-        }
-
-        if (now > dawnDate) {
-          duskDate.setDate(duskDate.getDate() + 1);
-          dawnDate.setDate(dawnDate.getDate() + 1);
-        }
-
-        const startDate = new Date(duskDate);
-        if (startDate.getMinutes() > 0) {
-          startDate.setHours(startDate.getHours() + 1, 0, 0, 0);
-        }
-
-        let cursor = startDate;
-        let safety = 0;
-        while (cursor <= dawnDate && safety < 48) {
-          hourDates.push(new Date(cursor));
-          cursor = new Date(cursor.getTime() + 3600000);
-          safety++;
-        }
-      } else if (darkness.alwaysAstronomicalDark || darkness.alwaysNight) {
-        let startHour = Math.floor(hourNow);
-        const startDate = new Date(now);
-        startDate.setMinutes(0, 0, 0);
-        startDate.setHours(startHour, 0, 0, 0);
-        for (let i = 0; i < 12; i++) {
-          const d = new Date(startDate.getTime() + i * 3600000);
-          hourDates.push(d);
-        }
-      } else {
-        let startHour = Math.floor(hourNow);
-        const startDate = new Date(now);
-        startDate.setMinutes(0, 0, 0);
-        startDate.setHours(startHour, 0, 0, 0);
-        for (let i = 0; i < 8; i++) {
-          const d = new Date(startDate.getTime() + i * 3600000);
-          hourDates.push(d);
-        }
-      }
-
-      if (!hourDates.length) {
-        addPlaceholderRows();
-        return;
-      }
-
-      const hourEntries = hourDates.map((hourDate) => {
-        const localHour = hourDate.getHours() + hourDate.getMinutes() / 60;
-
-        const inputs = {
-          kp: baseInputs.kp,
-          distanceToOvalKm: baseInputs.distanceToOvalKm,
-          geomagneticLatitude: baseInputs.geomagneticLatitude,
-          lightPollution: baseInputs.lightPollution,
-          cloudCover:
-            mapCloudCoverForTime(hourDate) ?? baseInputs.cloudCover,
-          timeLocalHour: localHour
-        };
-
-        const baseResult = AuroraBrain.computeBrain(inputs);
-        let score = baseResult.score;
-
-        let isDayHour = false;
-        if (darkness.hasDay && darkness.sunrise != null && darkness.sunset != null) {
-          isDayHour = isHourBetween(localHour, darkness.sunrise, darkness.sunset);
-        } else if (darkness.alwaysDaylight) {
-          isDayHour = true;
-        }
-
-        let isDarkHour = false;
-        if (darkness.alwaysAstronomicalDark) {
-          isDarkHour = true;
-        } else if (
-          darkness.hasAstronomicalNight &&
-          darkness.astroDusk != null &&
-          darkness.astroDawn != null
-        ) {
-          isDarkHour = isHourBetween(localHour, darkness.astroDusk, darkness.astroDawn);
+        moonRow.innerHTML = renderMoonLabel(computeMoonInfo(at || clockNow()));
+        const moonTrack = document.createElement("div");
+        moonTrack.className = "hourly-row-track";
+        for (let i = 0; i < count; i++) {
+          const cell = document.createElement("div");
+          cell.className = "hour-cell hour-cell-note";
+          cell.textContent = "--";
+          moonTrack.appendChild(cell);
         }
+        moonRow.appendChild(moonTrack);
 
-        const darknessForHour = {
-          ...darkness,
-          isDaylightNow: isDayHour,
-          isDarkNow: isDarkHour
-        };
+        attachScrollSync([timeTrack, scoreTrack, cloudTrack, moonTrack]);
 
-        const moonForHour = computeMoonInfo(hourDate, state.lat, state.lon);
+        hourlyBarEl.appendChild(timeRow);
+        hourlyBarEl.appendChild(scoreRow);
+        hourlyBarEl.appendChild(cloudRow);
+        hourlyBarEl.appendChild(moonRow);
+      };
 
-        const moonPenaltyHour = computeMoonPenalty(moonForHour, darknessForHour);
-        if (moonPenaltyHour > 0) {
-          score = Math.max(0, Math.min(100, score - moonPenaltyHour));
-        }
+      if (!state.lat || !state.lon || !darkness) {
+        addPlaceholderRows();
+        return;
+      }
 
-        const df = computeDarknessFactorAndNote(darknessForHour);
-        const factor = df.factor;
-        score = Math.max(0, Math.min(100, score * factor));
+      const now = clockNow();
+      const evalAt = at || now;
+      const moon = moonInfo || computeMoonInfo(evalAt, state.lat, state.lon);
 
-        const scoreRounded = Math.round(score);
-        const scoreColor = scoreColorForValue(scoreRounded);
+      const hourDates = nightHourDates(darkness, evalAt);
 
-        const cloudPct =
-          typeof inputs.cloudCover === "number"
-            ? Math.round(inputs.cloudCover * 100)
-            : null;
+      if (!hourDates.length) {
+        addPlaceholderRows();
+        return;
+      }
 
-        const moonPct = Math.round(
-          moonForHour && moonForHour.isUp ? (moonForHour.illumination || 0) * 100 : 0
-        );
+      // A picked time scores each hour with its own forecast (or what-if) KP
+      const hourEntries = hourDates.map((hourDate) =>
+        scoreHourEntry(
+          hourDate,
+          darkness,
+          baseInputs,
+          state.evaluationTime ? kpAtEvaluation(hourDate).kp : undefined
+        )
+      );
 
-        return {
-          localHour,
-          label: formatHourLocal(localHour),
-          scoreRounded,
-          scoreColor,
-          cloudPct,
-          moonPct,
-          moonIsUp: moonForHour ? moonForHour.isUp !== false : true,
-          isDayHour
-        };
-      });
+      // Hours that fall inside tonight's moon-free dark window
+      const moonFree = state.moonNight ? state.moonNight.moonFree : null;
+      const inMoonFree = (entry) =>
+        !!moonFree &&
+        entry.date.getTime() >= moonFree.start.getTime() - 30 * 60000 &&
+        entry.date.getTime() <= moonFree.end.getTime() + 30 * 60000;
+
+      if (state.moonNight) {
+        const note = document.createElement("p");
+        note.className = `hourly-moonfree-note${moonFree ? " hourly-moonfree-note-active" : ""}`;
+        note.textContent = `${moonFreeText(state.moonNight)} ${moonTimesText(state.moonNight)}`.trim();
+        hourlyBarEl.appendChild(note);
+      }
 
       const timeRow = document.createElement("div");
       timeRow.className = "hourly-row";
@@ -1495,6 +1660,12 @@
         const cell = document.createElement("div");
         cell.className = "hour-cell hour-cell-time";
         cell.textContent = entry.label;
+        if (entry.deviceLabel) {
+          const device = document.createElement("div");
+          device.className = "hour-cell-device-time";
+          device.textContent = `${entry.deviceLabel} yours`;
+          cell.appendChild(device);
+        }
         timeTrack.appendChild(cell);
       });
       timeRow.appendChild(timeTrack);
@@ -1506,12 +1677,12 @@
       scoreTrack.className = "hourly-row-track";
       hourEntries.forEach((entry) => {
         const cell = document.createElement("div");
-        cell.className = "hour-cell hour-cell-score";
+        cell.className = `hour-cell hour-cell-score${inMoonFree(entry) ? " hour-cell-moonfree" : ""}`;
         cell.innerHTML = `
           <div class=\"hour-score-gauge\" style=\"--score: ${entry.scoreRounded}; --score-color: ${entry.scoreColor};\">
             <div class=\"hour-score-value\">${entry.scoreRounded}%</div>
           </div>
-          <div class=\"hour-cell-note\">${entry.isDayHour ? "Daylight" : "Dark"}</div>
+          <div class=\"hour-cell-note\">${entry.skyLabel}</div>
         `;
         scoreTrack.appendChild(cell);
       });
@@ -1526,6 +1697,13 @@
         const cell = document.createElement("div");
         cell.className = "hour-cell hour-cell-note";
         cell.textContent = entry.cloudPct != null ? `${entry.cloudPct}%` : "--";
+        if (entry.cloudLayers) {
+          const layers = document.createElement("div");
+          layers.className = "hour-cell-cloud-layers";
+          layers.textContent = entry.cloudLayers;
+          layers.title = "Low / mid / high cloud";
+          cell.appendChild(layers);
+        }
         cloudTrack.appendChild(cell);
       });
       cloudRow.appendChild(cloudTrack);
@@ -1544,12 +1722,405 @@
       });
       moonRow.appendChild(moonTrack);
 
-      attachScrollSync([timeTrack, scoreTrack, cloudTrack, moonTrack]);
+      const moonAltRow = document.createElement("div");
+      moonAltRow.className = "hourly-row";
+      moonAltRow.innerHTML = `<div class=\"hourly-row-label\">Moon altitude</div>`;
+      const moonAltTrack = document.createElement("div");
+      moonAltTrack.className = "hourly-row-track";
+      hourEntries.forEach((entry) => {
+        const cell = document.createElement("div");
+        cell.className = `hour-cell hour-cell-note ${entry.moonIsUp ? "" : "hour-cell-muted"}`;
+        cell.textContent =
+          typeof entry.moonAltitude === "number" ? `${Math.round(entry.moonAltitude)}°` : "--";
+        moonAltTrack.appendChild(cell);
+      });
+      moonAltRow.appendChild(moonAltTrack);
+
+      attachScrollSync([timeTrack, scoreTrack, cloudTrack, moonTrack, moonAltTrack]);
 
       hourlyBarEl.appendChild(timeRow);
       hourlyBarEl.appendChild(scoreRow);
       hourlyBarEl.appendChild(cloudRow);
       hourlyBarEl.appendChild(moonRow);
+      hourlyBarEl.appendChild(moonAltRow);
+    }
+
+    // KP for the NOAA 3-hour block covering `date`, or null outside the forecast.
+    function forecastKpAt(date) {
+      return kpForecastAt(state.kpForecast, date);
+    }
+
+    function plannerNightLabel(index, date) {
+      const weekday = date.toLocaleDateString(undefined, {
+        weekday: "short",
+        timeZone: state.timeZone || undefined
+      });
+      // Starting from a picked date, "tonight" would be misleading
+      if (state.evaluationTime) return `${weekday} night`;
+      if (index === 0) return "Tonight";
+      return index === 1 ? `Tomorrow (${weekday})` : `${weekday} night`;
+    }
+
+    // -------- Three-night planner: tonight plus the next two nights --------
+    function renderPlanner(darkness, baseInputs, at) {
+      if (!plannerGridEl) return;
+
+      plannerGridEl.innerHTML = "";
+
+      if (state.lat == null || state.lon == null || !darkness) {
+        plannerGridEl.textContent = "Waiting for a location before planning ahead…";
+        return;
+      }
+
+      const now = clockNow();
+      const tonightHours = nightHourDates(darkness, at || now);
+      if (!tonightHours.length) return;
+
+      const tz = darkness.timeZone || null;
+      const anchor = dateAtLocalHour(12, tonightHours[0], tz);
+
+      let usedForecastKp = false;
+      const tracks = [];
+
+      for (let night = 0; night < 3; night++) {
+        const noon = shiftLocalDays(anchor, night, tz);
+
+        // Tonight keeps the live sunrise/sunset times; later nights use the solar model
+        const nightDarkness =
+          night === 0 ? darkness : computeDarknessInfo(state.lat, state.lon, noon, tz);
+        if (!nightDarkness) continue;
+
+        // Without a proper dark window, start later nights in the evening, not at noon
+        const nightStart = nightDarkness.hasAstronomicalNight
+          ? noon
+          : dateAtLocalHour(
+              nightDarkness.alwaysAstronomicalDark || nightDarkness.alwaysNight ? 18 : 21,
+              noon,
+              tz
+            );
+
+        const hours =
+          night === 0 ? tonightHours : nightHourDates(nightDarkness, nightStart);
+
+        const entries = hours.map((hourDate) => {
+          // With live KP off the slider is a what-if for every hour, as in the verdict
+          const kpForecast = state.kpLive ? forecastKpAt(hourDate) : null;
+          if (kpForecast != null) usedForecastKp = true;
+          return scoreHourEntry(hourDate, nightDarkness, baseInputs, kpForecast);
+        });
+        if (!entries.length) continue;
+
+        const best = entries.reduce((a, b) => (b.scoreRounded > a.scoreRounded ? b : a));
+
+        const row = document.createElement("div");
+        row.className = "hourly-row planner-night";
+        const label = document.createElement("div");
+        label.className = "hourly-row-label planner-night-label";
+        label.innerHTML = `<span>${plannerNightLabel(night, noon)}</span>`;
+        const peak = document.createElement("span");
+        peak.className = "planner-night-peak";
+        peak.textContent = `Peak ${best.scoreRounded}% at ${best.label}`;
+        label.appendChild(peak);
+        row.appendChild(label);
+
+        const track = document.createElement("div");
+        track.className = "hourly-row-track";
+        entries.forEach((entry) => {
+          const cell = document.createElement("div");
+          cell.className = `hour-cell planner-cell${entry === best ? " planner-cell-best" : ""}`;
+          cell.style.setProperty("--score-color", entry.scoreColor);
+          cell.innerHTML = `
+            <div class=\"hour-cell-time\">${entry.label}</div>
+            <div class=\"planner-cell-score\">${entry.scoreRounded}%</div>
+            <div class=\"hour-cell-note\">KP ${entry.kp.toFixed(1)}</div>
+            <div class=\"hour-cell-note\">☁ ${entry.cloudPct != null ? `${entry.cloudPct}%` : "--"}</div>
+          `;
+          track.appendChild(cell);
+        });
+        row.appendChild(track);
+        tracks.push(track);
+
+        plannerGridEl.appendChild(row);
+      }
+
+      if (plannerSubtitleEl) {
+        plannerSubtitleEl.textContent = !state.kpLive
+          ? `Live KP is off – planning every hour with what-if KP ${state.kp.toFixed(1)} from the slider and hourly cloud forecasts.`
+          : usedForecastKp
+          ? "Hourly viewing score for tonight and the next two nights, using NOAA’s 3-hourly KP forecast and hourly cloud forecasts."
+          : "NOAA’s KP forecast is unavailable – planning with the current KP value and hourly cloud forecasts.";
+      }
+    }
+
+    // -------- Site comparison: "Where should I drive tonight?" --------
+    function distanceFromHereKm(lat, lon) {
+      if (state.lat == null || state.lon == null) return null;
+      const d2r = Math.PI / 180;
+      const dLat = (lat - state.lat) * d2r;
+      const dLon = (lon - state.lon) * d2r;
+      const a =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(state.lat * d2r) * Math.cos(lat * d2r) * Math.sin(dLon / 2) ** 2;
+      return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(a)));
+    }
+
+    // The same inputs recomputeAurora gathers for the active location, fetched
+    // for any site without touching page state.
+    async function loadSiteInputs(site, now) {
+      const [sunTimes, weather, lpResult] = await Promise.all([
+        fetchSunTimes(site.lat, site.lon).catch((err) => {
+          console.warn(`Comparison: model darkness for ${site.name}`, err);
+          return null;
+        }),
+        fetchWeatherForSite(site.lat, site.lon).catch((err) => {
+          console.warn(`Comparison: fallback clouds for ${site.name}`, err);
+          return null;
+        }),
+        LightPollution.getLightPollution(site.lat, site.lon).catch(() => null)
+      ]);
+
+      const mode = site.lpMode || "auto";
+      const lightPollution =
+        mode !== "auto"
+          ? MANUAL_LP_VALUES[mode]
+          : typeof site.sqm === "number"
+          ? LightPollution.sqmToNormalized(site.sqm)
+          : adjustForPlaceContext(lpResult ? lpResult.normalized : 0.5, site.placeContext);
+
+      // Each site is judged on its own clock
+      const timeZone = (weather && weather.timeZone) || site.timeZone || null;
+      const darknessLive = sunTimes ? buildDarknessFromLiveTimes(sunTimes, timeZone, now) : null;
+
+      return {
+        darkness: darknessLive || computeDarknessInfo(site.lat, site.lon, now, timeZone),
+        weatherLive: !!weather,
+        // The site as hourInputsAt() takes it
+        site: {
+          lat: site.lat,
+          lon: site.lon,
+          lightPollution,
+          geomagneticLatitude: computeGeomagneticLatitude(site.lat, site.lon, now),
+          hourlyClouds: weather ? weather.hourly : [],
+          currentCloud: weather ? weather.cloud : null,
+          fallbackCloudCover: 0.2
+        }
+      };
+    }
+
+    // Scores the rest of tonight at one site: peak hour overall and best hour
+    // inside the astronomical dark window.
+    async function evaluateSiteTonight(site, now) {
+      const inputs = await loadSiteInputs(site, now);
+      if (!inputs.darkness) return null;
+
+      const hours = nightHourDates(inputs.darkness, now).filter(
+        (d) => d.getTime() >= now.getTime() - 3600000
+      );
+
+      let peak = null;
+      let bestDark = null;
+      hours.forEach((hourDate) => {
+        // Same KP as the planner: forecast per hour when live, else the what-if slider
+        const kp = (state.kpLive ? forecastKpAt(hourDate) : null) ?? state.kp;
+        const scoreInputs = hourInputsAt(hourDate, kp, inputs.site);
+
+        const hour = scoreHour(hourDate, inputs.darkness, scoreInputs);
+        const entry = { ...hour, date: hourDate, cloudCover: scoreInputs.cloudCover };
+
+        if (!peak || entry.score > peak.score) peak = entry;
+        if (entry.isDarkHour && (!bestDark || entry.score > bestDark.score)) {
+          bestDark = entry;
+        }
+      });
+
+      if (!peak) return null;
+
+      return {
+        site,
+        peak,
+        bestDark,
+        darkness: inputs.darkness,
+        weatherLive: inputs.weatherLive,
+        distanceKm: distanceFromHereKm(site.lat, site.lon)
+      };
+    }
+
+    // Saved sites, the active location (if unsaved) and any places entered here
+    function comparisonSites() {
+      const sites = SavedSites.list().map((site) => ({ ...site, kind: "saved" }));
+
+      if (state.lat != null && state.lon != null && !state.currentSiteId) {
+        sites.unshift({
+          id: "current",
+          name: state.locationShort || "Current location",
+          lat: state.lat,
+          lon: state.lon,
+          placeContext: state.placeContext,
+          lpMode: state.lpMode,
+          sqm: state.sqmReading,
+          timeZone: state.timeZone,
+          kind: "current"
+        });
+      }
+
+      return sites.concat(state.compareExtraSites.map((site) => ({ ...site, kind: "entered" })));
+    }
+
+    // Highest peak first; ties go to the better dark-window hour, then the shorter drive
+    function compareResults(a, b) {
+      const peakDiff = Math.round(b.peak.score) - Math.round(a.peak.score);
+      if (peakDiff) return peakDiff;
+      const darkA = a.bestDark ? a.bestDark.score : -1;
+      const darkB = b.bestDark ? b.bestDark.score : -1;
+      if (Math.round(darkB) !== Math.round(darkA)) return darkB - darkA;
+      return (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity);
+    }
+
+    function renderComparison(results) {
+      if (!compareListEl) return;
+      compareListEl.innerHTML = "";
+
+      results.forEach((result, index) => {
+        const { site, peak, bestDark, distanceKm } = result;
+        const peakScore = Math.round(peak.score);
+        const cloudPct = Math.round(peak.cloudCover * 100);
+
+        const distanceText =
+          distanceKm == null
+            ? ""
+            : distanceKm < 1
+            ? "You are here"
+            : `${Math.round(distanceKm)} km away`;
+        const darkText = bestDark
+          ? `best dark hour ${formatHourLocal(bestDark.localHour)} (${Math.round(bestDark.score)}%)`
+          : result.darkness.neverDark || result.darkness.alwaysDaylight
+          ? "no astronomical darkness tonight"
+          : "dark window already over";
+
+        const li = document.createElement("li");
+        li.className = `compare-item${index === 0 ? " compare-item-best" : ""}`;
+        li.style.setProperty("--score-color", scoreColorForValue(peakScore));
+        li.innerHTML = `
+          <div class=\"compare-rank\">${index + 1}</div>
+          <div class=\"compare-main\">
+            <div class=\"compare-name\"></div>
+            <div class=\"compare-meta\">Peak ${peakScore}% at ${formatHourLocal(peak.localHour)} · ${darkText}</div>
+            <div class=\"compare-meta\">${distanceText}${distanceText ? " · " : ""}☁ ${cloudPct}%${result.weatherLive ? "" : " (fallback)"}</div>
+          </div>
+        `;
+        // Site names come from saved sites, geocoders and shared links
+        li.querySelector(".compare-name").textContent = site.name;
+
+        if (site.kind !== "current") {
+          const go = document.createElement("button");
+          go.type = "button";
+          go.className = "btn btn-secondary compare-go";
+          go.textContent = "Use";
+          go.addEventListener("click", () => useComparisonSite(site));
+          li.appendChild(go);
+        }
+
+        compareListEl.appendChild(li);
+      });
+    }
+
+    function useComparisonSite(site) {
+      if (site.kind === "saved") {
+        const saved = SavedSites.get(site.id);
+        if (saved) applySavedSite(saved);
+        return;
+      }
+
+      state.lat = site.lat;
+      state.lon = site.lon;
+      setLocationDisplay({
+        labelMain: site.name,
+        labelDetail: "Location chosen from the site comparison.",
+        sourceLabel: "Manual search",
+        sourceKind: "search",
+        coordsText: `${site.lat.toFixed(3)}°, ${site.lon.toFixed(3)}°`,
+        shortLabel: site.name
+      });
+      applyLpMode(site.lpMode || "auto");
+      updateLightPollution(site.lat, site.lon, { placeContext: site.placeContext });
+      refreshDarknessFromSunriseSunset(site.lat, site.lon);
+      refreshWeather(site.lat, site.lon);
+    }
+
+    async function runComparison() {
+      const sites = comparisonSites();
+      if (sites.length < 2) {
+        compareStatusEl.textContent =
+          "Save a site or add a place above – you need at least two to compare.";
+        return;
+      }
+
+      compareRunEl.disabled = true;
+      compareStatusEl.textContent = `Scoring ${sites.length} sites…`;
+
+      const now = clockNow();
+      const results = (
+        await Promise.all(
+          sites.map((site) =>
+            evaluateSiteTonight(site, now).catch((err) => {
+              console.warn(`Comparison failed for ${site.name}`, err);
+              return null;
+            })
+          )
+        )
+      ).filter(Boolean);
+
+      results.sort(compareResults);
+      renderComparison(results);
+
+      const updated = now.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+      compareStatusEl.textContent = results.length
+        ? `Ranked by peak score, then the best hour in the dark window. Times are local to each site.${
+            state.kpLive ? "" : ` Scored with what-if KP ${state.kp.toFixed(1)}.`
+          } Updated ${updated}.`
+        : "Couldn’t score any of these sites right now.";
+      compareRunEl.disabled = false;
+    }
+
+    async function addComparisonPlace() {
+      const query = compareInputEl.value.trim();
+      if (!query) return;
+
+      compareAddEl.disabled = true;
+      try {
+        const r = (await geocodePlace(query)).data;
+        if (!r) {
+          compareStatusEl.textContent = `No results found for “${query}”.`;
+          return;
+        }
+        state.compareExtraSites.push({
+          id: `entered-${Date.now().toString(36)}`,
+          name: r.name,
+          lat: r.lat,
+          lon: r.lon,
+          placeContext: placeContextForPlace(r),
+          lpMode: "auto"
+        });
+        compareInputEl.value = "";
+        runComparison();
+      } catch (err) {
+        console.warn("Comparison place search failed", err);
+        compareStatusEl.textContent = "Search failed – please try again.";
+      } finally {
+        compareAddEl.disabled = false;
+      }
+    }
+
+    function initComparison() {
+      if (!compareRunEl || !compareListEl) return;
+
+      compareRunEl.addEventListener("click", runComparison);
+      if (compareAddEl && compareInputEl) {
+        compareAddEl.addEventListener("click", addComparisonPlace);
+        compareInputEl.addEventListener("keydown", (e) => {
+          if (e.key === "Enter") addComparisonPlace();
+        });
+      }
     }
 
     function recomputeAurora() {
@@ -1565,14 +2136,38 @@
         return;
       }
 
-      const now = new Date();
-      const localHour = now.getHours() + now.getMinutes() / 60;
+      // `now` is the evaluation time: the live clock unless a date is picked
+      const now = evaluationDate();
+      const localHour = localHourIn(now, state.timeZone);
+      updateEvaluationUI();
 
-      // Update darkness info – prefer live sunrise/sunset when available
-      let darkness = state.darknessLive || computeDarknessInfo(state.lat, state.lon, now);
-      if (darkness && !darkness.source) {
-        darkness = { ...darkness, source: state.darknessLive ? "live-api" : "model" };
+      const hemisphere = hemisphereFor(state.lat);
+      if (hemisphere !== state.hemisphere) {
+        state.hemisphere = hemisphere;
+        refreshAuroraOval();
       }
+
+      // Recomputed every time so a new location never inherits stale coordinates
+      const geomagLat = computeGeomagneticLatitude(state.lat, state.lon, now);
+      state.geomagneticLatitude = geomagLat;
+      const kpInfo = kpAtEvaluation(now);
+      const baseInputs = hourInputsAt(now, kpInfo.kp);
+      const distanceKm = baseInputs.distanceToOvalKm;
+
+      state.distanceToOvalKm = distanceKm;
+      state.ovalProbability = baseInputs.ovalProbability;
+      state.ovalSource = baseInputs.ovalSource;
+      // Poleward of the modelled oval the display sits towards the equator
+      state.ovalTowardsEquator =
+        baseInputs.ovalSource === "model" &&
+        typeof geomagLat === "number" &&
+        distanceKm >= 10 &&
+        Math.abs(geomagLat) > ovalEdgeGeomagLatForKp(kpInfo.kp);
+      updateOvalLocalUI();
+
+      // Update darkness info – prefer live sunrise/sunset when available.
+      // Both are rebuilt here so they follow the site's timezone once known.
+      const darkness = darknessAt(now);
       state.darkness = darkness;
       state.darknessSource = darkness ? darkness.source : "model";
       if (darkness) {
@@ -1580,125 +2175,512 @@
       }
 
       // Update clouds & moon UI
-      updateCloudsUI();
+      updateCloudsUI(now);
       const moon = computeMoonInfo(now, state.lat, state.lon);
-      updateMoonUI(moon);
+      state.moonNight = darkness ? nightMoonSummary(darkness, now, state.lat, state.lon) : null;
+      updateMoonUI(moon, state.moonNight);
 
-      const geomagLat =
-        state.geomagneticLatitude != null
-          ? state.geomagneticLatitude
-          : approxGeomagneticLatitude(state.lat);
-      const distanceKm =
-        state.distanceToOvalKm != null
-          ? state.distanceToOvalKm
-          : approxDistanceToOvalKm(geomagLat);
+      // Hourly chart uses the same "base brain + moon + darkness factor per hour"
+      renderHourlyChart(darkness, baseInputs, moon, now);
+      renderPlanner(darkness, baseInputs, now);
+
+      // Main score: brain, then moon penalty, then darkness factor, then verdict
+      const scoreInputs = { ...baseInputs, darkness };
+      const result = scoreSite(scoreInputs);
+      state.lastScoreInputs = scoreInputs;
+      state.lastScore = { score: result.score, verdict: result.verdict };
+
+      if (state.evaluationTime) {
+        const notes = [
+          `Evaluating ${formatEvaluationTime(now)} (site time) with ${kpSourceText(kpInfo)}.`
+        ];
+        if (!baseInputs.clouds) {
+          notes.push("The cloud forecast doesn’t reach this time; current cloud cover is used.");
+        }
+        result.debug.unshift(...notes);
+      }
+      result.kp = kpInfo.kp;
 
-      state.geomagneticLatitude = geomagLat;
-      state.distanceToOvalKm = distanceKm;
+      updateElevationUI(result);
+      renderAuroraVerdict(result, { localHour, darkness, evaluating: !!state.evaluationTime });
+      syncAlertSubscription();
+    }
+
+    // -------- Data sources panel --------
+    // One entry per external feed. `sw` is the service worker's feed id (for
+    // the cached state); `affectsScore` feeds show in the verdict's fallback banner.
+    const FEEDS = {
+      location: { label: "Location (GPS / IP)", sw: null, affectsScore: true },
+      weather: { label: "Cloud forecast", sw: "clouds", affectsScore: true },
+      sun: { label: "Sunrise & sunset", sw: "sun", affectsScore: true },
+      kp: { label: "Live KP", sw: "kp", affectsScore: true },
+      kpForecast: { label: "KP forecast (NOAA)", sw: "kp", affectsScore: true },
+      solarWind: { label: "Solar wind (NOAA)", sw: "solarWind", affectsScore: true },
+      ovation: { label: "Aurora oval grid (OVATION)", sw: "oval", affectsScore: true },
+      ovalImage: { label: "Aurora oval image", sw: "oval", affectsScore: false },
+      lightPollution: { label: "Light pollution tiles", sw: null, affectsScore: true },
+      geocoding: { label: "Place search", sw: null, affectsScore: false }
+    };
+    const FEED_STATE_LABELS = {
+      pending: "Waiting",
+      live: "Live",
+      cached: "Cached",
+      fallback: "Fallback",
+      failed: "Failed",
+      off: "Off"
+    };
+    const feedRetries = {}; // feed id -> function that fetches it again
 
-      const cloudCover =
-        typeof state.cloudCover === "number" ? state.cloudCover : 0.2;
+    function feedEntry(id) {
+      if (!state.feeds[id]) {
+        state.feeds[id] = { state: "pending", note: "", lastSuccess: null, lastError: null };
+      }
+      return state.feeds[id];
+    }
 
-      const baseInputs = {
-        kp: state.kp,
-        distanceToOvalKm: distanceKm,
-        geomagneticLatitude: geomagLat,
-        lightPollution: state.lightPollution,
-        cloudCover
+    // status: 'live' | 'fallback' | 'failed' | 'off'; `note` says what is used
+    // instead, `err` is recorded as the feed's last error
+    function setFeedState(id, status, note, err) {
+      const entry = feedEntry(id);
+      entry.state = status;
+      entry.note = note || "";
+      if (status === "live") entry.lastSuccess = clockNow();
+      if (err) {
+        entry.lastError = {
+          message: (err && err.message) || String(err),
+          at: clockNow()
+        };
+      }
+      renderDataSources();
+    }
+
+    // A live feed answered from the service worker's cache shows as cached
+    function feedDisplayState(id) {
+      const entry = feedEntry(id);
+      const sw = FEEDS[id].sw ? state.feedStatus[FEEDS[id].sw] : null;
+      return entry.state === "live" && sw && sw.fromCache ? "cached" : entry.state;
+    }
+
+    function formatClock(date) {
+      return date.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+    }
+
+    function renderFallbackBanner() {
+      if (!verdictFallbackEl) return;
+      const list = verdictFallbackEl.querySelector("ul");
+      const items = Object.keys(FEEDS).filter((id) => {
+        const s = feedEntry(id).state;
+        return FEEDS[id].affectsScore && (s === "fallback" || s === "failed") && feedEntry(id).note;
+      });
+
+      verdictFallbackEl.hidden = !items.length;
+      list.innerHTML = "";
+      items.forEach((id) => {
+        const li = document.createElement("li");
+        li.textContent = `${FEEDS[id].label}: ${feedEntry(id).note}.`;
+        list.appendChild(li);
+      });
+    }
+
+    function renderDataSources() {
+      renderFallbackBanner();
+      if (!dataSourcesListEl) return;
+      dataSourcesListEl.innerHTML = "";
+
+      Object.keys(FEEDS).forEach((id) => {
+        const entry = feedEntry(id);
+        const shown = feedDisplayState(id);
+
+        const li = document.createElement("li");
+        li.className = "feed-item";
+        li.innerHTML = `
+          <div class=\"feed-main\">
+            <div class=\"feed-name\">${FEEDS[id].label} <span class=\"feed-state feed-state-${shown}\">${FEED_STATE_LABELS[shown]}</span></div>
+            <div class=\"feed-meta\"></div>
+            <div class=\"feed-meta feed-error\"></div>
+          </div>
+        `;
+
+        const meta = [
+          entry.lastSuccess ? `Last success ${formatClock(entry.lastSuccess)}` : "No success yet"
+        ];
+        if (entry.note) meta.push(entry.note);
+        li.querySelector(".feed-meta").textContent = meta.join(" · ");
+
+        // Error text can carry URLs and server messages, so it stays plain text
+        const errorEl = li.querySelector(".feed-error");
+        if (entry.lastError) {
+          errorEl.textContent = `Last error ${formatClock(entry.lastError.at)}: ${entry.lastError.message}`;
+        } else {
+          errorEl.remove();
+        }
+
+        if (feedRetries[id]) {
+          const retry = document.createElement("button");
+          retry.type = "button";
+          retry.className = "btn btn-secondary compare-go";
+          retry.textContent = "Retry";
+          retry.addEventListener("click", () => feedRetries[id]());
+          li.appendChild(retry);
+        }
+
+        dataSourcesListEl.appendChild(li);
+      });
+    }
+
+    function initDataSources() {
+      feedRetries.location = initLocationViaGps;
+      feedRetries.weather = () => refreshWeather(state.lat, state.lon);
+      feedRetries.sun = () => refreshDarknessFromSunriseSunset(state.lat, state.lon);
+      feedRetries.ovation = refreshOvationGrid;
+      feedRetries.ovalImage = refreshAuroraOval;
+      feedRetries.lightPollution = () => {
+        LightPollution.retry();
+        updateLightPollution(state.lat, state.lon, { placeContext: state.placeContext });
+      };
+      feedRetries.geocoding = () => {
+        const q = searchInputEl.value.trim();
+        if (q) geocodeSearch(q);
       };
+      renderDataSources();
+    }
 
-      // Hourly chart uses the same "base brain + moon + darkness factor per hour"
-      renderHourlyChart(darkness, baseInputs, moon);
+    // -------- Data freshness (reported by the service worker) --------
+    const STALE_FEED_LABELS = {
+      kp: "KP data",
+      clouds: "Cloud forecast",
+      oval: "Aurora oval"
+    };
+
+    function formatAge(ms) {
+      const minutes = Math.max(1, Math.round(ms / 60000));
+      if (minutes < 60) return `${minutes} min`;
+      const hours = Math.floor(minutes / 60);
+      const rest = minutes % 60;
+      return rest ? `${hours} h ${rest} min` : `${hours} h`;
+    }
 
-      // Main brain: compute base score, then apply moon penalty, then darkness factor
-      const baseResult = AuroraBrain.computeBrain({
-        ...baseInputs,
-        timeLocalHour: localHour
+    // Several sites share the weather feed; only the active site's clouds count.
+    // MET Norway takes lat/lon rounded to four decimals.
+    function isCurrentSiteWeatherUrl(url) {
+      try {
+        const params = new URL(url).searchParams;
+        const lat = Number(params.get("latitude") ?? params.get("lat"));
+        const lon = Number(params.get("longitude") ?? params.get("lon"));
+        return Math.abs(lat - state.lat) < 1e-3 && Math.abs(lon - state.lon) < 1e-3;
+      } catch (_) {
+        return false;
+      }
+    }
+
+    function updateStaleNotes() {
+      document.querySelectorAll("[data-stale-feed]").forEach((el) => {
+        const feed = el.dataset.staleFeed;
+        const status = state.feedStatus[feed];
+        if (!status || !status.fromCache) {
+          el.hidden = true;
+          el.textContent = "";
+          return;
+        }
+        const fetched = new Date(status.cachedAt).toLocaleTimeString(undefined, {
+          hour: "2-digit",
+          minute: "2-digit"
+        });
+        el.hidden = false;
+        el.textContent = `${STALE_FEED_LABELS[feed]} is an offline copy from ${fetched} (${formatAge(
+          Date.now() - status.cachedAt
+        )} old).`;
       });
+    }
+
+    function handleServiceWorkerMessage(event) {
+      const data = event.data || {};
+      if (data.type !== "data-feed" || !data.feed) return;
+      if (data.feed === "clouds" && !isCurrentSiteWeatherUrl(data.url)) return;
+
+      state.feedStatus[data.feed] = {
+        url: data.url,
+        fromCache: !!data.fromCache,
+        cachedAt: data.fromCache ? data.cachedAt : Date.now()
+      };
+      updateStaleNotes();
+      renderDataSources();
+    }
+
+    function initDataFreshness() {
+      if (!("serviceWorker" in navigator)) return;
+      navigator.serviceWorker.addEventListener("message", handleServiceWorkerMessage);
+    }
+
+    // -------- Service worker --------
+    // The worker is an ES module so its alerts can import the same scoring
+    // library as the page. Browsers without module workers reject it; they get
+    // the classic service-worker-classic.js instead, which only caches for
+    // offline use, and the page says alerts are off.
+    let resolveAlertWorker;
+    let rejectAlertWorker;
+    const alertWorkerReady = new Promise((resolve, reject) => {
+      resolveAlertWorker = resolve;
+      rejectAlertWorker = reject;
+    });
+    // Nothing may be waiting yet when registration fails
+    alertWorkerReady.catch(() => {});
+
+    function showServiceWorkerUnavailable(title, text) {
+      if (offlineBannerEl) {
+        offlineBannerEl.querySelector(".status-banner-title").textContent = title;
+        offlineBannerEl.querySelector("p").textContent = text;
+        offlineBannerEl.hidden = false;
+      }
+      if (alertToggleEl) {
+        alertToggleEl.checked = false;
+        alertToggleEl.disabled = true;
+      }
+      setAlertStatus("Alerts need a background worker this browser can’t run.");
+    }
+
+    function registerClassicServiceWorker() {
+      navigator.serviceWorker
+        .register("service-worker-classic.js")
+        .then(() => {
+          showServiceWorkerUnavailable(
+            "Alerts are unavailable",
+            "This browser can’t run the worker that checks alerts. Offline use and cached feeds still work."
+          );
+        })
+        .catch((err) => {
+          console.warn("Classic service worker registration failed:", err);
+          showServiceWorkerUnavailable(
+            "Offline use and alerts are unavailable",
+            "This browser couldn’t start the app’s background worker. Aurora Now won’t work offline, feeds can’t be reused from the cache and alerts are off."
+          );
+        });
+    }
+
+    function registerServiceWorker() {
+      if (!("serviceWorker" in navigator)) {
+        rejectAlertWorker(new Error("Service workers are not supported in this browser"));
+        showServiceWorkerUnavailable(
+          "Offline use and alerts are unavailable",
+          "This browser doesn’t support service workers. Aurora Now won’t work offline, feeds can’t be reused from the cache and alerts are off."
+        );
+        return;
+      }
+
+      navigator.serviceWorker
+        .register("service-worker.js", { type: "module" })
+        .then(() => navigator.serviceWorker.ready)
+        .then(resolveAlertWorker)
+        .catch((err) => {
+          console.warn("Module service worker registration failed, falling back:", err);
+          rejectAlertWorker(err);
+          registerClassicServiceWorker();
+        });
+    }
+
+    function initServiceWorker() {
+      // Registered after load so it doesn't compete with the first feeds
+      if (document.readyState === "complete") {
+        registerServiceWorker();
+      } else {
+        window.addEventListener("load", registerServiceWorker);
+      }
+    }
+
+    // -------- Threshold alerts (checked by the service worker) --------
+    const ALERT_STORAGE_KEY = "a2kda_alerts";
+    const ALERT_SYNC_TAG = "aurora-alert-check";
+    let alertPollId = null;
+    let alertSyncedSite = null;
+
+    function readAlertSettings() {
+      try {
+        const raw = window.localStorage.getItem(ALERT_STORAGE_KEY);
+        return raw ? JSON.parse(raw) : null;
+      } catch (_) {
+        return null;
+      }
+    }
+
+    function writeAlertSettings(settings) {
+      try {
+        window.localStorage.setItem(ALERT_STORAGE_KEY, JSON.stringify(settings));
+      } catch (err) {
+        console.warn("Could not persist alert settings", err);
+      }
+    }
+
+    function setAlertStatus(text) {
+      if (alertStatusEl) alertStatusEl.textContent = text;
+    }
+
+    function alertThreshold() {
+      const v = parseInt(alertThresholdEl.value, 10);
+      return Number.isFinite(v) ? Math.min(100, Math.max(1, v)) : 60;
+    }
+
+    async function postToServiceWorker(message) {
+      // Rejects instead of waiting forever when only the classic worker runs
+      const reg = await alertWorkerReady;
+      if (!reg.active) {
+        throw new Error("Service worker is not active yet");
+      }
+      reg.active.postMessage(message);
+      return reg;
+    }
+
+    async function subscribeAlerts() {
+      // The worker would keep checking the demo site after the demo is closed
+      if (state.demo) {
+        setAlertStatus("Alerts are paused in demo mode.");
+        return;
+      }
+      if (state.lat == null || state.lon == null) {
+        setAlertStatus("Alerts will start once we know your location.");
+        return;
+      }
+
+      const threshold = alertThreshold();
+      alertSyncedSite = alertSubscriptionKey();
+
+      try {
+        const reg = await postToServiceWorker({
+          type: "alert-subscribe",
+          subscription: {
+            threshold,
+            lat: state.lat,
+            lon: state.lon,
+            label: state.locationShort,
+            timeZone: state.timeZone,
+            lightPollution: state.lightPollution,
+            kp: state.kp,
+            weights: state.weights
+          }
+        });
+
+        let background = false;
+        if (reg.periodicSync) {
+          try {
+            await reg.periodicSync.register(ALERT_SYNC_TAG, {
+              minInterval: 60 * 60 * 1000
+            });
+            background = true;
+          } catch (err) {
+            console.warn("Periodic background sync unavailable", err);
+          }
+        }
+
+        // Without Periodic Background Sync, poll while the page stays open
+        if (alertPollId !== null) clearInterval(alertPollId);
+        alertPollId = background
+          ? null
+          : window.setInterval(() => {
+              postToServiceWorker({ type: "alert-check" }).catch((err) =>
+                console.warn("Alert check failed", err)
+              );
+            }, 15 * 60 * 1000);
+
+        setAlertStatus(
+          `We’ll notify you once per night when the score at ${state.locationShort} reaches ${threshold}. ` +
+            (background
+              ? "Checks run hourly in the background."
+              : "Checks run every 15 minutes while this page is open.")
+        );
+      } catch (err) {
+        console.warn("Could not subscribe to alerts", err);
+        setAlertStatus("Alerts need a service worker, which isn’t available here.");
+      }
+    }
+
+    async function unsubscribeAlerts() {
+      alertSyncedSite = null;
+      if (alertPollId !== null) {
+        clearInterval(alertPollId);
+        alertPollId = null;
+      }
+      try {
+        const reg = await postToServiceWorker({ type: "alert-unsubscribe" });
+        if (reg.periodicSync) {
+          await reg.periodicSync.unregister(ALERT_SYNC_TAG);
+        }
+      } catch (err) {
+        console.warn("Could not unsubscribe from alerts", err);
+      }
+      setAlertStatus("Alerts are off.");
+    }
+
+    async function handleAlertToggle() {
+      const enabled = alertToggleEl.checked;
+      writeAlertSettings({ enabled, threshold: alertThreshold() });
+
+      if (!enabled) {
+        unsubscribeAlerts();
+        return;
+      }
 
-      let scoreAfterMoon = baseResult.score;
-      let moonPenaltyNow = 0;
-      if (moon) {
-        moonPenaltyNow = computeMoonPenalty(moon, darkness);
-        if (moonPenaltyNow > 0) {
-          scoreAfterMoon = Math.max(0, scoreAfterMoon - moonPenaltyNow);
-        }
+      if (!("Notification" in window)) {
+        alertToggleEl.checked = false;
+        writeAlertSettings({ enabled: false, threshold: alertThreshold() });
+        setAlertStatus("This browser doesn’t support notifications.");
+        return;
       }
 
-      let darknessFactor = 1;
-      let darknessNote = null;
-      if (darkness) {
-        const df = computeDarknessFactorAndNote(darkness);
-        darknessFactor = df.factor;
-        darknessNote = df.note;
+      const permission = await Notification.requestPermission();
+      if (permission !== "granted") {
+        alertToggleEl.checked = false;
+        writeAlertSettings({ enabled: false, threshold: alertThreshold() });
+        setAlertStatus("Notifications are blocked – allow them in your browser to get alerts.");
+        return;
       }
 
-      let adjustedScore = scoreAfterMoon * darknessFactor;
-      adjustedScore = Math.max(0, Math.min(100, adjustedScore));
+      subscribeAlerts();
+    }
 
-      const debug = baseResult.debug ? baseResult.debug.slice() : [];
-      if (moonPenaltyNow > 0) {
-        const moonPct = Math.round((moon.illumination || 0) * 100);
-        debug.push(
-          `Moon brightness reduces the score by ${moonPenaltyNow.toFixed(
-            1
-          )} points (illumination ~${moonPct}%).`
-        );
-        debug.push(
-          `Score after moon adjustment: ${scoreAfterMoon.toFixed(0)} / 100.`
-        );
-      } else if (moon && moon.isUp === false) {
-        debug.push("Moon is below the horizon for your location right now.");
-      } else {
-        debug.push(
-          "Moon has negligible effect on the score in this simple v1 model."
-        );
-      }
+    // Keep the worker's copy of the site in step with the page
+    // Anything that changes the worker's score needs a fresh subscription
+    function alertSubscriptionKey() {
+      return [
+        state.lat,
+        state.lon,
+        state.lightPollution,
+        state.timeZone,
+        alertThreshold(),
+        JSON.stringify(state.weights)
+      ].join(",");
+    }
 
-      if (darknessNote) {
-        debug.push(darknessNote);
-      } else {
-        debug.push(
-          `Darkness model did not apply a penalty (factor ${darknessFactor.toFixed(
-            2
-          )}).`
-        );
+    function syncAlertSubscription() {
+      if (!alertToggleEl || !alertToggleEl.checked) return;
+      if (alertSubscriptionKey() !== alertSyncedSite) {
+        subscribeAlerts();
       }
+    }
 
-      if (darknessFactor !== 1) {
-        debug.push(
-          `Score after darkness adjustment: ${adjustedScore.toFixed(0)} / 100.`
-        );
-      } else {
-        debug.push(
-          `Score unchanged by darkness (factor 1.00): ${adjustedScore.toFixed(
-            0
-          )} / 100.`
-        );
-      }
+    function initAlerts() {
+      if (!alertToggleEl || !alertThresholdEl) return;
 
-      // Final verdict thresholds on the darkness-adjusted score
-      let verdict;
-      if (adjustedScore >= 65) {
-        verdict = "yes";
-      } else if (adjustedScore >= 35) {
-        verdict = "maybe";
-      } else {
-        verdict = "no";
+      const saved = readAlertSettings();
+      if (saved) {
+        if (typeof saved.threshold === "number") {
+          alertThresholdEl.value = String(saved.threshold);
+        }
+        alertToggleEl.checked =
+          !!saved.enabled &&
+          "Notification" in window &&
+          Notification.permission === "granted";
       }
-      debug.push(
-        `Final visibility verdict after darkness adjustment: ${verdict.toUpperCase()}.`
-      );
 
-      const result = {
-        ...baseResult,
-        score: adjustedScore,
-        verdict,
-        darknessFactor,
-        debug
-      };
+      alertToggleEl.addEventListener("change", handleAlertToggle);
+      alertThresholdEl.addEventListener("change", () => {
+        writeAlertSettings({ enabled: alertToggleEl.checked, threshold: alertThreshold() });
+        syncAlertSubscription();
+      });
 
-      renderAuroraVerdict(result, { localHour, darkness });
+      setAlertStatus(
+        alertToggleEl.checked
+          ? "Alerts are on – waiting for your location…"
+          : "Alerts are off."
+      );
     }
 
     function onKpChange() {
@@ -1719,40 +2701,122 @@
       onKpChange();
     }
 
-    async function fetchLatestKpFromNoaa() {
-      const url =
-        "https://services.swpc.noaa.gov/products/noaa-planetary-k-index.json";
-      const response = await fetch(url, { cache: "no-cache" });
+    // NOAA G-scale: KP 5 = G1 (minor) up to KP 9 = G5 (extreme)
+    function gScaleForKp(kp) {
+      if (kp >= 9) return { level: 5, color: "#b91c1c" };
+      if (kp >= 8) return { level: 4, color: "#ef4444" };
+      if (kp >= 7) return { level: 3, color: "#f97316" };
+      if (kp >= 6) return { level: 2, color: "#fb923c" };
+      if (kp >= 5) return { level: 1, color: "#facc15" };
+      return { level: 0, color: "#22c55e" };
+    }
 
-      if (!response.ok) {
-        throw new Error("NOAA KP fetch failed with status " + response.status);
-      }
+    // Latest block against the mean of the three before it (~9 hours)
+    function kpTrend(history) {
+      if (!history || history.length < 2) return null;
+      const latest = history[history.length - 1].kp;
+      const previous = history.slice(-4, -1);
+      const mean = previous.reduce((sum, h) => sum + h.kp, 0) / previous.length;
+      const delta = latest - mean;
+      if (delta >= 0.67) return { direction: "rising", symbol: "▲", delta };
+      if (delta <= -0.67) return { direction: "falling", symbol: "▼", delta };
+      return { direction: "steady", symbol: "▶", delta };
+    }
+
+    function renderKpHistory() {
+      if (!kpHistoryEl) return;
 
-      const data = await response.json();
+      kpHistoryEl.innerHTML = "";
+      const history = state.kpHistory;
+      if (!history.length) {
+        kpHistoryEl.textContent = "KP history appears once the live NOAA feed has loaded.";
+        if (kpTrendEl) kpTrendEl.textContent = "";
+        return;
+      }
 
-      // Expect an array, first row is header
-      if (!Array.isArray(data) || data.length < 2) {
-        throw new Error("Unexpected NOAA KP data shape");
+      const latestTime = history[history.length - 1].time.getTime();
+      const windowStart = latestTime - state.kpHistoryHours * 3600000;
+      const shown = history.filter((h) => h.time.getTime() > windowStart);
+
+      const bars = document.createElement("div");
+      bars.className = "kp-history-bars";
+      shown.forEach((h, i) => {
+        const g = gScaleForKp(h.kp);
+        const bar = document.createElement("div");
+        const isCurrent = i === shown.length - 1;
+        bar.className = `kp-history-bar${isCurrent ? " kp-history-bar-current" : ""}`;
+        bar.style.height = `${Math.max(4, (h.kp / 9) * 100)}%`;
+        bar.style.background = g.color;
+        const when = h.time.toLocaleString(undefined, {
+          weekday: "short",
+          hour: "2-digit",
+          minute: "2-digit"
+        });
+        bar.title = `${when}: KP ${h.kp.toFixed(2)}${g.level ? ` (G${g.level})` : ""}`;
+        bars.appendChild(bar);
+      });
+      kpHistoryEl.appendChild(bars);
+
+      const latest = shown[shown.length - 1];
+      const g = gScaleForKp(latest.kp);
+      const caption = document.createElement("div");
+      caption.className = "kp-history-caption";
+      caption.textContent =
+        `Last ${state.kpHistoryHours} h of 3-hourly KP. Now KP ${latest.kp.toFixed(1)}` +
+        (g.level ? ` – G${g.level} storm level.` : ".");
+      kpHistoryEl.appendChild(caption);
+
+      const trend = kpTrend(history);
+      if (kpTrendEl) {
+        kpTrendEl.className = `kp-trend${trend ? ` kp-trend-${trend.direction}` : ""}`;
+        kpTrendEl.textContent = trend
+          ? `${trend.symbol} ${trend.direction.charAt(0).toUpperCase()}${trend.direction.slice(1)}`
+          : "";
+        kpTrendEl.title = trend
+          ? `Latest KP is ${trend.delta >= 0 ? "+" : ""}${trend.delta.toFixed(
+              1
+            )} against the previous ~9 hours.`
+          : "";
       }
+    }
+
+    function handleKpHistoryRangeClick(e) {
+      const btn = e.target.closest(".lp-mode-btn");
+      if (!btn) return;
 
-      const lastRow = data[data.length - 1];
+      const hours = parseInt(btn.getAttribute("data-hours"), 10);
+      if (![24, 48, 72].includes(hours)) return;
+
+      state.kpHistoryHours = hours;
+      kpHistoryRangeEl.querySelectorAll(".lp-mode-btn").forEach((b) => {
+        b.classList.toggle("lp-mode-btn-active", b === btn);
+      });
+      renderKpHistory();
+    }
 
-      const timeTag = lastRow[0];       // "YYYY-MM-DD HH:mm:ss.sss"
-      const kpFractionStr = lastRow[2]; // Kp_fraction
-      const kpStr = lastRow[1];         // Kp integer
 
-      let kp = Number.parseFloat(kpFractionStr);
-      if (!Number.isFinite(kp)) {
-        kp = Number.parseFloat(kpStr);
-      }
-      if (!Number.isFinite(kp)) {
-        throw new Error("NOAA KP values not parseable");
+    function initKpForecast() {
+      async function updateKpForecast() {
+        try {
+          const result = await fetchFeed("kpForecast");
+          state.kpForecast = result.data;
+          setFeedState("kpForecast", "live", providerNote(result), providerError(result));
+        } catch (err) {
+          console.warn("Failed to load NOAA KP forecast:", err);
+          state.kpForecast = [];
+          setFeedState("kpForecast", "fallback", "current KP for later hours", err);
+        }
+        recomputeAurora();
       }
 
-      return { kp, timeTag };
+      feedRetries.kpForecast = updateKpForecast;
+
+      updateKpForecast();
+      window.setInterval(updateKpForecast, 3 * 60 * 60 * 1000);
     }
 
-    function initKpLiveMode() {
+    // options.manualKp (from a shared link) starts with live KP off at that value
+    function initKpLiveMode(options = {}) {
       const toggleEl = document.getElementById("kp-live-toggle");
       const statusEl = document.getElementById("kp-live-status");
 
@@ -1765,38 +2829,33 @@
 
       async function updateFromLiveKp() {
         try {
-          statusEl.textContent = "Fetching latest NOAA KP…";
+          statusEl.textContent = "Fetching latest KP…";
 
-          const { kp, timeTag } = await fetchLatestKpFromNoaa();
+          const result = await fetchFeed("kp");
+          const { kp, time, history } = result.data;
 
+          state.kpHistory = history;
+          renderKpHistory();
           applyKpToUi(kp);
 
-          let displayTime = timeTag;
-          try {
-            // Convert "YYYY-MM-DD HH:mm:ss.sss" → "YYYY-MM-DDTHH:mm:ss.sssZ"
-            const iso = timeTag.replace(" ", "T") + "Z";
-            const d = new Date(iso);
-            if (!Number.isNaN(d.getTime())) {
-              displayTime = d.toUTCString();
-            }
-          } catch (_) {
-            // keep original if parsing fails
-          }
-
-          statusEl.textContent = `Live KP ≈ ${kp.toFixed(1)} (NOAA, ${displayTime})`;
+          statusEl.textContent = `Live KP ≈ ${kp.toFixed(1)} (${result.provider.name}, ${time.toUTCString()})`;
+          setFeedState("kp", "live", providerNote(result), providerError(result));
         } catch (err) {
           console.warn("Failed to update live KP:", err);
           toggleEl.checked = false;
           stopLiveUpdates("Live KP unavailable – using manual value.");
+          setFeedState("kp", "fallback", `manual KP ${state.kp.toFixed(1)} from the slider`, err);
         }
       }
 
       function stopLiveUpdates(manualLabel) {
+        state.kpLive = false;
         if (intervalId !== null) {
           clearInterval(intervalId);
           intervalId = null;
         }
         statusEl.textContent = manualLabel || "Live KP off – using manual value.";
+        if (!manualLabel) setFeedState("kp", "off", "switched off – the slider is a what-if value");
       }
 
       function startLiveUpdates() {
@@ -1805,23 +2864,72 @@
           clearInterval(intervalId);
         }
         toggleEl.checked = true;
+        state.kpLive = true;
         updateFromLiveKp();
         intervalId = window.setInterval(updateFromLiveKp, 60 * 60 * 1000);
       }
 
+      feedRetries.kp = startLiveUpdates;
+
       toggleEl.addEventListener("change", () => {
         if (toggleEl.checked) {
           startLiveUpdates();
         } else {
           stopLiveUpdates();
+          // The planner and a picked time switch from forecast KP to the slider's what-if value
+          recomputeAurora();
         }
       });
 
+      if (typeof options.manualKp === "number") {
+        toggleEl.checked = false;
+        stopLiveUpdates();
+        applyKpToUi(options.manualKp);
+        return;
+      }
+
       // Auto-start live KP so the geomagnetic activity section is fed by the
       // real aurora prediction feed by default.
       startLiveUpdates();
     }
 
+    function initSolarWindLive() {
+      const statusEl = document.getElementById("solar-wind-status");
+
+      async function updateFromSolarWind() {
+        try {
+          const result = await fetchFeed("solarWind");
+          const wind = result.data;
+          state.solarWind = wind;
+          setFeedState("solarWind", "live", providerNote(result), providerError(result));
+
+          if (statusEl) {
+            const speedText =
+              wind.speed != null ? `${Math.round(wind.speed)} km/s` : "speed n/a";
+            const densityText =
+              wind.density != null ? `${wind.density.toFixed(1)} p/cm³` : "density n/a";
+            statusEl.textContent =
+              `Solar wind: Bz ${wind.bzMean.toFixed(1)} nT (30-min mean, ` +
+              `${Math.round(wind.southwardShare * 100)}% southward), ${speedText}, ${densityText}.`;
+          }
+        } catch (err) {
+          console.warn("Failed to update solar wind:", err);
+          state.solarWind = null;
+          setFeedState("solarWind", "fallback", "scoring from KP alone", err);
+          if (statusEl) {
+            statusEl.textContent =
+              "Solar wind unavailable – scoring from KP alone.";
+          }
+        }
+        recomputeAurora();
+      }
+
+      feedRetries.solarWind = updateFromSolarWind;
+      updateFromSolarWind();
+      // DSCOVR data lands every minute; 10 minutes keeps us ahead of substorm onsets
+      window.setInterval(updateFromSolarWind, 10 * 60 * 1000);
+    }
+
     let auroraOvalObjectUrl = null;
 
     function setAuroraOvalStatus(text) {
@@ -1832,11 +2940,20 @@
     async function refreshAuroraOval() {
       if (!auroraOvalImgEl || !auroraOvalStatusEl) return;
 
+      const hemisphere = state.hemisphere;
+      const hemisphereName = hemisphere === "south" ? "southern" : "northern";
       const url =
-        "https://services.swpc.noaa.gov/images/aurora-forecast-northern-hemisphere.jpg";
+        `https://services.swpc.noaa.gov/images/aurora-forecast-${hemisphereName}-hemisphere.jpg`;
+
+      // Demo fixtures are JSON only, so there is no image to show
+      if (state.demo) {
+        setAuroraOvalStatus("The live aurora image isn’t shown in demo mode.");
+        setFeedState("ovalImage", "off", "not bundled with demo scenarios");
+        return;
+      }
 
       try {
-        setAuroraOvalStatus("Fetching latest NOAA aurora image…");
+        setAuroraOvalStatus(`Fetching latest NOAA ${hemisphereName} aurora image…`);
         const response = await fetch(url, { cache: "no-store" });
         if (!response.ok) {
           throw new Error("Aurora oval fetch failed with status " + response.status);
@@ -1844,12 +2961,16 @@
 
         const blob = await response.blob();
 
+        // The site may have crossed the equator while this image was loading
+        if (hemisphere !== state.hemisphere) return;
+
         if (auroraOvalObjectUrl) {
           URL.revokeObjectURL(auroraOvalObjectUrl);
         }
 
         auroraOvalObjectUrl = URL.createObjectURL(blob);
         auroraOvalImgEl.src = auroraOvalObjectUrl;
+        auroraOvalImgEl.alt = `NOAA OVATION ${hemisphereName} hemisphere auroral oval forecast`;
 
         const lastModified = response.headers.get("last-modified");
         let stamp = "just now";
@@ -1861,17 +2982,54 @@
         }
 
         setAuroraOvalStatus(
-          `Live aurora oval from NOAA OVATION — updated ${stamp}.`
+          `Live ${hemisphereName} aurora oval from NOAA OVATION — updated ${stamp}.`
         );
+        setFeedState("ovalImage", "live");
       } catch (err) {
         console.warn("Failed to load aurora oval image", err);
+        setFeedState("ovalImage", "failed", "", err);
         setAuroraOvalStatus(
           "Couldn’t load the live NOAA aurora oval. Please try again."
         );
       }
     }
 
+    function updateOvalLocalUI() {
+      if (!auroraOvalLocalEl) return;
+
+      if (state.ovalSource !== "ovation" || typeof state.ovalProbability !== "number") {
+        auroraOvalLocalEl.textContent = AuroraOval.isLoaded()
+          ? `NOAA’s OVATION nowcast only reaches about ${OVATION_HORIZON_HOURS} hours ahead – estimating your distance to the oval expected at this KP instead.`
+          : "OVATION grid not loaded – estimating your distance to the oval expected at this KP instead.";
+        return;
+      }
+
+      const distanceText =
+        state.distanceToOvalKm > 0
+          ? `The oval’s equatorward edge (${AuroraOval.EDGE_PROBABILITY}% line) is about ${Math.round(
+              state.distanceToOvalKm
+            )} km from you.`
+          : "You are under or poleward of the oval’s equatorward edge.";
+      auroraOvalLocalEl.textContent =
+        `Forecast aurora probability at your location: ${state.ovalProbability.toFixed(0)}%. ` +
+        distanceText;
+    }
+
+    async function refreshOvationGrid() {
+      try {
+        const result = await AuroraOval.loadLatest();
+        setFeedState("ovation", "live", providerNote(result), providerError(result));
+      } catch (err) {
+        console.warn("Failed to load OVATION grid – using the KP-based oval", err);
+        setFeedState("ovation", "fallback", "KP-based oval model", err);
+      }
+      recomputeAurora();
+    }
+
     function initAuroraOvalLive() {
+      refreshOvationGrid();
+      window.setInterval(refreshOvationGrid, 30 * 60 * 1000);
+
       if (!auroraOvalImgEl || !auroraOvalStatusEl) return;
 
       refreshAuroraOval();
@@ -1879,42 +3037,66 @@
       if (auroraOvalRefreshEl) {
         auroraOvalRefreshEl.addEventListener("click", () => {
           refreshAuroraOval();
+          refreshOvationGrid();
         });
       }
 
       window.setInterval(refreshAuroraOval, 30 * 60 * 1000);
     }
 
+    // Simple adjustment based on place type:
+    // - large-settlement: push towards bright
+    // - settlement: ensure at least suburban
+    // - dark-nature: clamp to dark
+    function adjustForPlaceContext(normalized, ctx) {
+      if (ctx === "large-settlement") return Math.max(normalized, 0.8);
+      if (ctx === "settlement") return Math.max(normalized, 0.6);
+      if (ctx === "dark-nature") return Math.min(normalized, 0.25);
+      return normalized;
+    }
+
     async function updateLightPollution(lat, lon, options) {
       try {
-        const result = await LightPollution.getLightPollution(lat, lon);
-
-        let normalized = result.normalized;
         const ctx = options && options.placeContext;
+        state.placeContext = ctx || null;
 
-        // Simple adjustment based on place type:
-        // - large-settlement: push towards bright
-        // - settlement: ensure at least suburban
-        // - dark-nature: clamp to dark
-        if (ctx === "large-settlement") {
-          normalized = Math.max(normalized, 0.8);
-        } else if (ctx === "settlement") {
-          normalized = Math.max(normalized, 0.6);
-        } else if (ctx === "dark-nature") {
-          normalized = Math.min(normalized, 0.25);
-        }
+        // A measured SQM value beats both the grid and the place-type nudges
+        const result =
+          state.sqmReading != null
+            ? LightPollution.fromSkyBrightness(state.sqmReading, "sqm-reading")
+            : await LightPollution.getLightPollution(lat, lon);
+
+        const normalized =
+          result.source === "sqm-reading"
+            ? result.normalized
+            : adjustForPlaceContext(result.normalized, ctx);
 
         // Store auto-estimate regardless of current mode
         state.autoLightPollution = normalized;
 
+        if (result.source === "fallback") {
+          const { error } = LightPollution.getStatus();
+          setFeedState(
+            "lightPollution",
+            "fallback",
+            error ? "latitude-based estimate" : "no tile here – latitude-based estimate",
+            error
+          );
+        } else {
+          setFeedState(
+            "lightPollution",
+            "live",
+            result.source === "sqm-reading" ? "your SQM reading" : ""
+          );
+        }
+
         if (state.lpMode === "auto") {
           state.lightPollution = normalized;
-          const adjusted = {
-            ...result,
-            normalized,
-            classification: LightPollution.classifyLightPollutionValue(normalized)
-          };
-          renderLightPollutionBadge(adjusted);
+          renderLightPollutionBadge(
+            normalized === result.normalized
+              ? result
+              : LightPollution.fromNormalized(normalized, result.source)
+          );
         }
 
         // If we're in manual mode, we do not override the user's chosen value,
@@ -1923,6 +3105,7 @@
       } catch (err) {
         console.error("Failed to estimate light pollution", err);
         state.autoLightPollution = 0.5;
+        setFeedState("lightPollution", "fallback", "mid-range sky brightness", err);
         if (state.lpMode === "auto") {
           state.lightPollution = 0.5;
           renderLightPollutionBadge(null);
@@ -1950,29 +3133,19 @@
         shortLabel: "Isle of Rùm"
       });
 
+      setFeedState("location", "failed", "default location (Isle of Rùm)");
       updateLightPollution(lat, lon, { placeContext: "dark-nature" });
       refreshDarknessFromSunriseSunset(lat, lon);
       refreshWeather(lat, lon);
     }
 
     function useIpLocationFallback() {
-      fetch("https://ipapi.co/json/")
-        .then((res) => res.json())
-        .then((data) => {
+      fetchFeed("ipLocation")
+        .then(({ data, provider }) => {
           const city = data.city || "your area";
-          const country = data.country_name || data.country || "your country";
-          const latRaw = data.latitude ?? data.lat;
-          const lonRaw = data.longitude ?? data.lon;
-
-          const lat =
-            typeof latRaw === "string" ? parseFloat(latRaw) : latRaw;
-          const lon =
-            typeof lonRaw === "string" ? parseFloat(lonRaw) : lonRaw;
-
-          state.lat =
-            typeof lat === "number" && !Number.isNaN(lat) ? lat : null;
-          state.lon =
-            typeof lon === "number" && !Number.isNaN(lon) ? lon : null;
+          const country = data.country || "your country";
+          state.lat = data.lat;
+          state.lon = data.lon;
 
           const coordsText =
             state.lat != null && state.lon != null
@@ -1981,7 +3154,7 @@
 
           setLocationDisplay({
             labelMain: `Near ${city} \u2022 ${country}`,
-            labelDetail: "Location estimated from your network (IP).",
+            labelDetail: `Location estimated from your network (IP, ${provider.name}).`,
             sourceLabel: "IP-based (approximate)",
             sourceKind: "ip",
             coordsText,
@@ -1989,6 +3162,7 @@
           });
 
           if (state.lat != null && state.lon != null) {
+            setFeedState("location", "fallback", "approximate location from your network (IP)");
             updateLightPollution(state.lat, state.lon);
             refreshDarknessFromSunriseSunset(state.lat, state.lon);
             refreshWeather(state.lat, state.lon);
@@ -1999,6 +3173,7 @@
         })
         .catch((err) => {
           console.error("IP location failed", err);
+          feedEntry("location").lastError = { message: err.message || String(err), at: clockNow() };
           // Ultimate fallback: default dark-sky location
           useDefaultRumLocation();
         });
@@ -2006,6 +3181,10 @@
 
     function initLocationViaGps() {
       if (!navigator.geolocation) {
+        feedEntry("location").lastError = {
+          message: "Geolocation is not supported by this browser",
+          at: clockNow()
+        };
         useIpLocationFallback();
         return;
       }
@@ -2030,12 +3209,17 @@
             shortLabel: "Your device location"
           });
 
+          setFeedState("location", "live", "device location");
           updateLightPollution(latitude, longitude);
           refreshDarknessFromSunriseSunset(latitude, longitude);
           refreshWeather(latitude, longitude);
         },
         (err) => {
           console.warn("Geolocation failed, falling back to IP", err);
+          feedEntry("location").lastError = {
+            message: err.message || "Location permission denied",
+            at: clockNow()
+          };
           useIpLocationFallback();
         },
         {
@@ -2046,33 +3230,67 @@
       );
     }
 
-    function geocodeSearch(query) {
-      const url =
-        "https://nominatim.openstreetmap.org/search?format=jsonv2&limit=1&q=" +
-        encodeURIComponent(query);
+    // Derive a simple place context from a geocoding result (OSM categories)
+    function placeContextForPlace(r) {
+      const { category, type, importance } = r;
+
+      if (category === "place" && (type === "city" || type === "town")) {
+        return importance && importance > 0.7 ? "large-settlement" : "settlement";
+      }
+      if (
+        category === "place" &&
+        (type === "village" || type === "hamlet" || type === "suburb")
+      ) {
+        return "settlement";
+      }
+      if (
+        (category === "natural" || category === "leisure" || category === "boundary") &&
+        [
+          "desert",
+          "nature_reserve",
+          "national_park",
+          "forest",
+          "heath",
+          "moor",
+          "peak",
+          "mountain"
+        ].includes(type)
+      ) {
+        return "dark-nature";
+      }
+      return null;
+    }
+
+    // Best match for a free-text place in result.data, or null:
+    // { lat, lon, name, label, category, type, importance }
+    function geocodePlace(query) {
+      return fetchFeed("geocoding", { query });
+    }
+
+    const SEARCH_HINT = "You can search for cities, towns, or known dark-sky sites.";
+
+    function setSearchStatus(text) {
+      if (searchStatusEl) searchStatusEl.textContent = text;
+    }
 
+    function geocodeSearch(query) {
       searchButtonEl.disabled = true;
-      fetch(url, {
-        headers: {
-          "Accept-Language": "en",
-          "User-Agent": "Aurora Planner/1.0 (https://a2kdaaurora.github.io)"
-        }
-      })
-        .then((res) => res.json())
-        .then((results) => {
-          if (!results || !results.length) {
-            alert("No results found for that place.");
+      setSearchStatus(`Searching for “${query}”…`);
+      geocodePlace(query)
+        .then((result) => {
+          setFeedState("geocoding", "live", providerNote(result), providerError(result));
+          const r = result.data;
+          if (!r) {
+            setSearchStatus(`No results found for “${query}”. Try a nearby town or a different spelling.`);
             return;
           }
+          setSearchStatus(SEARCH_HINT);
 
-          const r = results[0];
-          const lat = parseFloat(r.lat);
-          const lon = parseFloat(r.lon);
+          const { lat, lon, name } = r;
 
           state.lat = lat;
           state.lon = lon;
 
-          const name = r.display_name.split(",")[0];
           const coordsText = `${lat.toFixed(3)}°, ${lon.toFixed(3)}°`;
 
           setLocationDisplay({
@@ -2083,45 +3301,9 @@
             coordsText,
             shortLabel: name
           });
+          setFeedState("location", "live", "manual search");
 
-          // Derive a simple place context from the Nominatim result
-          const category = r.category || r.class || "";
-          const type = r.type || "";
-          const importance = typeof r.importance === "number"
-            ? r.importance
-            : parseFloat(r.importance || "0");
-
-          let placeContext = null;
-
-          if (category === "place" && (type === "city" || type === "town")) {
-            if (importance && importance > 0.7) {
-              placeContext = "large-settlement";
-            } else {
-              placeContext = "settlement";
-            }
-          } else if (
-            category === "place" &&
-            (type === "village" || type === "hamlet" || type === "suburb")
-          ) {
-            placeContext = "settlement";
-          } else if (
-            category === "natural" ||
-            category === "leisure" ||
-            category === "boundary"
-          ) {
-            if (
-              type === "desert" ||
-              type === "nature_reserve" ||
-              type === "national_park" ||
-              type === "forest" ||
-              type === "heath" ||
-              type === "moor" ||
-              type === "peak" ||
-              type === "mountain"
-            ) {
-              placeContext = "dark-nature";
-            }
-          }
+          const placeContext = placeContextForPlace(r);
 
           updateLightPollution(lat, lon, { placeContext });
           refreshDarknessFromSunriseSunset(lat, lon);
@@ -2129,13 +3311,16 @@
         })
         .catch((err) => {
           console.error("Search failed", err);
-          alert("Search failed – please try again or use GPS / IP.");
+          setFeedState("geocoding", "failed", "", err);
+          setSearchStatus("Search failed – please try again or use GPS / IP. Details are under Data sources.");
         })
         .finally(() => {
           searchButtonEl.disabled = false;
         });
     }
 
+    const MANUAL_LP_VALUES = { dark: 0.2, suburban: 0.5, urban: 0.85 };
+
     function handleLpModeClick(e) {
       const btn = e.target.closest(".lp-mode-btn");
       if (!btn) return;
@@ -2143,12 +3328,67 @@
       const mode = btn.getAttribute("data-mode");
       if (!mode || !["auto", "dark", "suburban", "urban"].includes(mode)) return;
 
+      applyLpMode(mode);
+
+      // Saved sites remember their own sky brightness choice
+      if (state.currentSiteId) {
+        const site = SavedSites.get(state.currentSiteId);
+        if (site) SavedSites.save({ ...site, lpMode: mode });
+      }
+
+      recomputeAurora();
+    }
+
+    // -------- Measured SQM override --------
+    function setSqmReading(value) {
+      state.sqmReading = typeof value === "number" && !Number.isNaN(value) ? value : null;
+      if (sqmInputEl) {
+        sqmInputEl.value = state.sqmReading != null ? state.sqmReading.toFixed(2) : "";
+      }
+    }
+
+    function handleSqmChange() {
+      const raw = sqmInputEl.value.trim();
+      const value = raw === "" ? null : parseFloat(raw);
+      if (value != null && (Number.isNaN(value) || value < 15 || value > 23)) {
+        lpModeHintEl.textContent =
+          "SQM readings are usually between 16 and 22 mag/arcsec² – please check the value.";
+        return;
+      }
+
+      setSqmReading(value);
+
+      // A reading only makes sense with the automatic estimate it replaces
+      applyLpMode(value != null ? "auto" : state.lpMode);
+
+      if (state.currentSiteId) {
+        const site = SavedSites.get(state.currentSiteId);
+        if (site) SavedSites.save({ ...site, lpMode: state.lpMode, sqm: state.sqmReading });
+      }
+
+      if (state.lat != null && state.lon != null) {
+        updateLightPollution(state.lat, state.lon, { placeContext: state.placeContext });
+      }
+    }
+
+    function initSqmOverride() {
+      if (!sqmInputEl) return;
+      sqmInputEl.addEventListener("change", handleSqmChange);
+      if (sqmClearEl) {
+        sqmClearEl.addEventListener("click", () => {
+          sqmInputEl.value = "";
+          handleSqmChange();
+        });
+      }
+    }
+
+    function applyLpMode(mode) {
       state.lpMode = mode;
 
       // Update button active styles
       const buttons = lpModeOptionsEl.querySelectorAll(".lp-mode-btn");
       buttons.forEach((b) => {
-        if (b === btn) {
+        if (b.getAttribute("data-mode") === mode) {
           b.classList.add("lp-mode-btn-active");
         } else {
           b.classList.remove("lp-mode-btn-active");
@@ -2160,39 +3400,378 @@
         norm = state.autoLightPollution;
         state.lightPollution = norm;
         lpModeHintEl.textContent =
-          "Auto is a rough guess from your location or a grid-based model. Adjust if you know your local sky.";
+          state.sqmReading != null
+            ? "Using your measured SQM reading for this location."
+            : "Auto is a rough guess from your location or a grid-based model. Adjust if you know your local sky.";
       } else if (mode === "dark") {
-        norm = 0.2;
+        norm = MANUAL_LP_VALUES.dark;
         state.lightPollution = norm;
         lpModeHintEl.textContent =
           "Using your chosen sky brightness: dark rural skies.";
       } else if (mode === "suburban") {
-        norm = 0.5;
+        norm = MANUAL_LP_VALUES.suburban;
         state.lightPollution = norm;
         lpModeHintEl.textContent =
           "Using your chosen sky brightness: typical suburban or small-town skies.";
       } else if (mode === "urban") {
-        norm = 0.85;
+        norm = MANUAL_LP_VALUES.urban;
         state.lightPollution = norm;
         lpModeHintEl.textContent =
           "Using your chosen sky brightness: bright city or town-centre skies.";
       }
 
-      if (typeof norm === "number") {
-        const manualResult = {
-          normalized: norm,
-          classification: LightPollution.classifyLightPollutionValue(norm)
+      if (mode !== "auto" && typeof norm === "number") {
+        renderLightPollutionBadge(LightPollution.fromNormalized(norm, "manual"));
+      } else if (mode === "auto" && state.sqmReading != null) {
+        renderLightPollutionBadge(
+          LightPollution.fromSkyBrightness(state.sqmReading, "sqm-reading")
+        );
+      } else if (typeof norm === "number") {
+        renderLightPollutionBadge(LightPollution.fromNormalized(norm, "fallback"));
+      }
+    }
+
+    // -------- Saved sites --------
+    function renderSiteChooser() {
+      if (!siteSelectEl) return;
+
+      const sites = SavedSites.list();
+      const defaultSite = SavedSites.getDefault();
+
+      siteSelectEl.innerHTML = "";
+      const placeholder = document.createElement("option");
+      placeholder.value = "";
+      placeholder.textContent = sites.length ? "Saved sites…" : "No saved sites yet";
+      siteSelectEl.appendChild(placeholder);
+
+      sites.forEach((site) => {
+        const opt = document.createElement("option");
+        opt.value = site.id;
+        opt.textContent =
+          defaultSite && defaultSite.id === site.id ? `${site.name} (default)` : site.name;
+        siteSelectEl.appendChild(opt);
+      });
+
+      siteSelectEl.value = state.currentSiteId || "";
+      siteSelectEl.disabled = !sites.length;
+      if (siteDefaultEl) {
+        siteDefaultEl.disabled = !state.currentSiteId;
+        siteDefaultEl.textContent =
+          defaultSite && defaultSite.id === state.currentSiteId
+            ? "Unset default"
+            : "Make default";
+      }
+      if (siteDeleteEl) siteDeleteEl.disabled = !state.currentSiteId;
+    }
+
+    function applySavedSite(site) {
+      state.lat = site.lat;
+      state.lon = site.lon;
+
+      setLocationDisplay({
+        labelMain: site.name,
+        labelDetail: "Saved site – stored on this device.",
+        sourceLabel: "Saved site",
+        sourceKind: "saved",
+        coordsText: `${site.lat.toFixed(3)}°, ${site.lon.toFixed(3)}°`,
+        shortLabel: site.name
+      });
+      setFeedState("location", "live", "saved site");
+
+      state.currentSiteId = site.id;
+      setSqmReading(typeof site.sqm === "number" ? site.sqm : null);
+      setSiteTimeZone(site.timeZone || null);
+      renderSiteChooser();
+
+      applyLpMode(site.lpMode || "auto");
+      updateLightPollution(site.lat, site.lon, { placeContext: site.placeContext });
+      refreshDarknessFromSunriseSunset(site.lat, site.lon);
+      refreshWeather(site.lat, site.lon);
+    }
+
+    function saveCurrentSite() {
+      if (state.lat == null || state.lon == null) return;
+
+      const existing = state.currentSiteId ? SavedSites.get(state.currentSiteId) : null;
+      const name = window.prompt(
+        "Name this site",
+        existing ? existing.name : state.locationShort
+      );
+      if (name == null || !name.trim()) return;
+
+      const site = SavedSites.save({
+        id: existing ? existing.id : null,
+        name: name.trim(),
+        lat: state.lat,
+        lon: state.lon,
+        placeContext: state.placeContext,
+        lpMode: state.lpMode,
+        sqm: state.sqmReading,
+        timeZone: state.timeZone
+      });
+
+      state.currentSiteId = site.id;
+      state.locationShort = site.name;
+      locMainEl.textContent = site.name;
+      tonightTitleEl.textContent = `Tonight at ${site.name}`;
+      renderSiteChooser();
+    }
+
+    function initSavedSites() {
+      if (!siteSelectEl) return;
+
+      renderSiteChooser();
+
+      siteSelectEl.addEventListener("change", () => {
+        const site = SavedSites.get(siteSelectEl.value);
+        if (site) applySavedSite(site);
+      });
+
+      if (siteSaveEl) {
+        siteSaveEl.addEventListener("click", saveCurrentSite);
+      }
+
+      if (siteDefaultEl) {
+        siteDefaultEl.addEventListener("click", () => {
+          if (!state.currentSiteId) return;
+          const current = SavedSites.getDefault();
+          SavedSites.setDefault(
+            current && current.id === state.currentSiteId ? null : state.currentSiteId
+          );
+          renderSiteChooser();
+        });
+      }
+
+      if (siteDeleteEl) {
+        siteDeleteEl.addEventListener("click", () => {
+          if (!state.currentSiteId) return;
+          SavedSites.remove(state.currentSiteId);
+          state.currentSiteId = null;
+          renderSiteChooser();
+        });
+      }
+    }
+
+    // -------- Demo mode --------
+    // ?demo=<scenario> loads fixtures/demo/<scenario>.json. Every feed is then
+    // answered from the scenario's bundled responses and the clock is frozen at
+    // its `now`, so the whole pipeline gives the same output on every run.
+    const DEMO_SCENARIOS = ["quiet-night", "g4-storm", "midnight-sun", "polar-night", "overcast"];
+
+    function showDemoBanner(title, text) {
+      if (!demoBannerEl) return;
+      demoBannerEl.querySelector(".status-banner-title").textContent = title;
+      demoBannerEl.querySelector("p").textContent = text;
+      demoBannerEl.hidden = false;
+    }
+
+    async function loadDemoScenario(id) {
+      const res = await fetch(`fixtures/demo/${id}.json`);
+      if (!res.ok) {
+        throw new Error(`Demo scenario ${id} failed with status ${res.status}`);
+      }
+      const scenario = await res.json();
+      const now = new Date(scenario.now);
+      const site = scenario.site || {};
+      if (
+        Number.isNaN(now.getTime()) ||
+        typeof site.lat !== "number" ||
+        typeof site.lon !== "number" ||
+        !scenario.feeds
+      ) {
+        throw new Error(`Demo scenario ${id} is missing its time, site or feeds`);
+      }
+      return { ...scenario, id, now };
+    }
+
+    // Resolves to true when a scenario is active
+    async function initDemoMode() {
+      const id = new URLSearchParams(window.location.search).get("demo");
+      if (!id) return false;
+
+      if (!DEMO_SCENARIOS.includes(id)) {
+        showDemoBanner(
+          "Unknown demo scenario",
+          `“${id}” isn’t a demo scenario (try ${DEMO_SCENARIOS.join(", ")}). Showing live data.`
+        );
+        return false;
+      }
+
+      try {
+        const scenario = await loadDemoScenario(id);
+        useFixtures(scenario.feeds);
+        state.frozenNow = scenario.now;
+        state.demo = {
+          id,
+          title: scenario.title || id,
+          description: scenario.description || "",
+          site: scenario.site
         };
-        renderLightPollutionBadge(manualResult);
+        showDemoBanner(
+          `Demo: ${state.demo.title}`,
+          [
+            state.demo.description,
+            `Every feed uses bundled fixtures and the clock is frozen at ${scenario.now.toUTCString()}.`
+          ]
+            .filter(Boolean)
+            .join(" ")
+        );
+        return true;
+      } catch (err) {
+        console.warn("Demo scenario unavailable – showing live data", err);
+        showDemoBanner("Demo unavailable", `Couldn’t load the “${id}” scenario. Showing live data.`);
+        return false;
       }
+    }
 
-      recomputeAurora();
+    function applyDemoSite(site) {
+      state.lat = site.lat;
+      state.lon = site.lon;
+
+      setLocationDisplay({
+        labelMain: site.name,
+        labelDetail: "Demo scenario – fixed location.",
+        sourceLabel: "Demo",
+        sourceKind: "demo",
+        coordsText: `${site.lat.toFixed(3)}°, ${site.lon.toFixed(3)}°`,
+        shortLabel: site.name
+      });
+      setFeedState("location", "live", "demo scenario");
+
+      applyLpMode(site.lpMode || "auto");
+      updateLightPollution(site.lat, site.lon, { placeContext: site.placeContext });
+      refreshDarknessFromSunriseSunset(site.lat, site.lon);
+      refreshWeather(site.lat, site.lon);
+    }
+
+    // -------- Deep links --------
+    // ?lat=&lon=&label=&lp=&kp=&at= describes one view: the site, its light
+    // pollution mode, live KP ("live") or a what-if value, and an optional
+    // evaluation time (ISO instant). Every parameter is optional on its own.
+    const LINK_LP_MODES = ["auto", "dark", "suburban", "urban"];
+
+    function readDeepLink(search) {
+      const params = new URLSearchParams(search);
+      const link = {};
+
+      const lat = Number.parseFloat(params.get("lat"));
+      const lon = Number.parseFloat(params.get("lon"));
+      if (Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+        // The label is only ever set as text; drop control characters and cap it
+        const label = (params.get("label") || "")
+          .replace(/[\u0000-\u001f\u007f]/g, "")
+          .replace(/\s+/g, " ")
+          .trim()
+          .slice(0, 80);
+        link.site = { lat, lon, name: label || null };
+      }
+
+      const lp = params.get("lp");
+      if (LINK_LP_MODES.includes(lp)) link.lpMode = lp;
+
+      const kp = params.get("kp");
+      if (kp === "live") {
+        link.kp = "live";
+      } else if (kp != null && Number.isFinite(Number.parseFloat(kp))) {
+        link.kp = Math.min(9, Math.max(0, Number.parseFloat(kp)));
+      }
+
+      const at = params.get("at") ? new Date(params.get("at")) : null;
+      if (at && !Number.isNaN(at.getTime())) link.evaluationTime = at;
+
+      return link;
+    }
+
+    function buildDeepLink() {
+      const url = new URL(window.location.href);
+      url.search = "";
+      url.hash = "";
+
+      const params = url.searchParams;
+      if (state.demo) params.set("demo", state.demo.id);
+      params.set("lat", state.lat.toFixed(4));
+      params.set("lon", state.lon.toFixed(4));
+      // "Your device location" would describe the recipient's device, not ours
+      if (state.locationSource !== "gps") params.set("label", state.locationShort);
+      params.set("lp", state.lpMode);
+      params.set("kp", state.kpLive ? "live" : state.kp.toFixed(1));
+      if (state.evaluationTime) params.set("at", state.evaluationTime.toISOString());
+
+      return url.toString();
+    }
+
+    function applyLinkedSite(site) {
+      const coordsText = `${site.lat.toFixed(3)}°, ${site.lon.toFixed(3)}°`;
+      const name = site.name || "Shared spot";
+
+      state.lat = site.lat;
+      state.lon = site.lon;
+
+      setLocationDisplay({
+        labelMain: name,
+        labelDetail: "Location from a shared link.",
+        sourceLabel: "Shared link",
+        sourceKind: "link",
+        coordsText,
+        shortLabel: name
+      });
+      setFeedState("location", "live", "shared link");
+
+      updateLightPollution(site.lat, site.lon);
+      refreshDarknessFromSunriseSunset(site.lat, site.lon);
+      refreshWeather(site.lat, site.lon);
+    }
+
+    function setShareStatus(text) {
+      if (shareStatusEl) shareStatusEl.textContent = text;
+    }
+
+    // Web Share where the browser has it, then the clipboard, then the bare link
+    async function shareCurrentView() {
+      if (state.lat == null || state.lon == null) {
+        setShareStatus("Wait for a location before sharing.");
+        return;
+      }
+
+      const url = buildDeepLink();
+      if (navigator.share) {
+        try {
+          await navigator.share({
+            title: `Aurora Now – ${state.locationShort}`,
+            text: `Look at this spot tonight: ${state.locationShort}`,
+            url
+          });
+          setShareStatus("Link shared.");
+          return;
+        } catch (err) {
+          // Closing the share sheet isn't a failure
+          if (err && err.name === "AbortError") return;
+          console.warn("Web Share failed – copying the link instead", err);
+        }
+      }
+
+      try {
+        await navigator.clipboard.writeText(url);
+        setShareStatus("Link copied to the clipboard.");
+      } catch (err) {
+        console.warn("Clipboard unavailable", err);
+        setShareStatus(`Copy this link: ${url}`);
+      }
     }
-    
-    function init() {
+
+    async function init() {
+      const demo = await initDemoMode();
+      const link = readDeepLink(window.location.search);
+      if (link.evaluationTime) state.evaluationTime = link.evaluationTime;
+
+      initDataSources();
       updateFooterTime();
       updateCloudsUI();
-      initKpLiveMode();
+      initKpLiveMode({ manualKp: typeof link.kp === "number" ? link.kp : null });
+      initSolarWindLive();
+      initKpForecast();
+      initAlerts();
+      initServiceWorker();
       initAuroraOvalLive();
 
       kpInputEl.addEventListener("input", onKpChange);
@@ -2200,6 +3779,10 @@
       gpsButtonEl.addEventListener("click", () => {
         initLocationViaGps();
       });
+
+      if (shareButtonEl) {
+        shareButtonEl.addEventListener("click", shareCurrentView);
+      }
   
       searchButtonEl.addEventListener("click", () => {
         const q = searchInputEl.value.trim();
@@ -2220,8 +3803,32 @@
         lpModeOptionsEl.addEventListener("click", handleLpModeClick);
       }
 
-      // Default flow is GPS → IP → Isle of Rùm
-      initLocationViaGps();
+      if (kpHistoryRangeEl) {
+        kpHistoryRangeEl.addEventListener("click", handleKpHistoryRangeClick);
+      }
+
+      initDeviceTimeToggle();
+      initEvaluationTime();
+      initExpertSettings();
+      initSightingLog();
+      initDataFreshness();
+      initSqmOverride();
+      initSavedSites();
+      initComparison();
+
+      // A demo, shared link or default saved site skips geolocation;
+      // otherwise GPS → IP → Isle of Rùm
+      const defaultSite = SavedSites.getDefault();
+      if (demo) {
+        applyDemoSite(state.demo.site);
+      } else if (link.site) {
+        applyLinkedSite(link.site);
+      } else if (defaultSite) {
+        applySavedSite(defaultSite);
+      } else {
+        initLocationViaGps();
+      }
+      if (link.lpMode) applyLpMode(link.lpMode);
       onKpChange();
     }
 
@@ -2234,16 +3841,3 @@
     initApp();
   }
 })();
-/**
- * Register service worker for PWA installability and offline support.
- * This runs after the main Aurora Now app has initialised.
- */
-if ("serviceWorker" in navigator) {
-  window.addEventListener("load", () => {
-    navigator.serviceWorker
-      .register("service-worker.js")
-      .catch((err) => {
-        console.warn("Service worker registration failed:", err);
-      });
-  });
-}
@@ -0,0 +1,2064 @@
+// A2KDA Aurora - headless scoring library (plain ES module, no DOM)
+// - LightPollution module
+// - Geomagnetic coordinates
+// - AuroraBrain scoring
+// - Solar darkness model and site time zones
+// - Moon model (phase, position, rise/set, brightness penalty)
+// - Cloud forecast lookup, the OVATION grid and the scoreSite() pipeline
+// (fetching the feeds themselves lives in data-providers.mjs)
+// Shared by the page (app.js), the service worker and Node scripts:
+//   import { scoreSite } from "./aurora-scoring.mjs";
+
+// -------- Light pollution module --------
+const LightPollution = (function () {
+  // Tiled grid derived from the World Atlas of Artificial Night Sky Brightness.
+  // lightpollution/manifest.json lists the tiles that exist (land only):
+  // { tile_deg, samples, scale, offset, nodata, unit, tiles: ["N50E010", ...] }
+  // Each tile is `samples` × `samples` little-endian uint16 point values, row 0
+  // on the tile's southern edge. Edge rows/columns are duplicated in the
+  // neighbouring tiles, so interpolation never needs more than one tile.
+  const MANIFEST_URL = "lightpollution/manifest.json";
+  const TILE_URL = (key) => `lightpollution/tiles/${key}.bin`;
+  const MAX_CACHED_TILES = 16;
+
+  let manifest = null;       // parsed manifest, plus a Set of tile keys
+  let manifestPromise = null;
+  let lastError = null;      // latest manifest or tile failure, for status displays
+  const tileCache = new Map(); // key -> Promise<Uint16Array | null>, oldest first
+
+  function loadManifestIfNeeded() {
+    if (manifestPromise) return manifestPromise;
+
+    manifestPromise = (async () => {
+      try {
+        const res = await fetch(MANIFEST_URL);
+        if (!res.ok) {
+          lastError = new Error(`Light pollution tile manifest failed with status ${res.status}`);
+          console.warn("Light pollution tile manifest not found, using heuristic only.");
+          return;
+        }
+        const data = await res.json();
+        if (!Array.isArray(data.tiles) || !(data.tile_deg > 0) || !(data.samples > 1)) {
+          lastError = new Error("Light pollution tile manifest is missing tile_deg, samples or tiles");
+          console.warn("Light pollution tile manifest is missing tile_deg, samples or tiles.");
+          return;
+        }
+
+        manifest = {
+          tile_deg: data.tile_deg,
+          samples: data.samples,
+          scale: typeof data.scale === "number" ? data.scale : 0.001,
+          offset: typeof data.offset === "number" ? data.offset : 0,
+          nodata: typeof data.nodata === "number" ? data.nodata : 65535,
+          unit: data.unit || "mag_per_arcsec2",
+          keys: new Set(data.tiles)
+        };
+        console.log("Light pollution tile manifest loaded:", data.tiles.length, "tiles");
+      } catch (err) {
+        lastError = err;
+        console.error("Failed to load light pollution tile manifest:", err);
+      }
+    })();
+
+    return manifestPromise;
+  }
+
+  // South-west corner of the tile holding (lat, lon) and its key, e.g. "N50E010"
+  function tileFor(lat, lon) {
+    const size = manifest.tile_deg;
+    const lonWrapped = ((lon + 180) % 360 + 360) % 360 - 180;
+    const lat0 = Math.min(90 - size, Math.floor(lat / size) * size);
+    const lon0 = Math.floor(lonWrapped / size) * size;
+
+    const ns = lat0 < 0 ? "S" : "N";
+    const ew = lon0 < 0 ? "W" : "E";
+    const key =
+      ns + String(Math.abs(lat0)).padStart(2, "0") +
+      ew + String(Math.abs(lon0)).padStart(3, "0");
+
+    return { key, lat0, lon0, lonWrapped };
+  }
+
+  async function fetchTile(key) {
+    const res = await fetch(TILE_URL(key));
+    if (!res.ok) {
+      throw new Error(`Light pollution tile ${key} failed with status ${res.status}`);
+    }
+    const buffer = await res.arrayBuffer();
+    const count = manifest.samples * manifest.samples;
+    if (buffer.byteLength !== count * 2) {
+      throw new Error(`Light pollution tile ${key} has unexpected size ${buffer.byteLength}`);
+    }
+
+    // Read explicitly as little-endian so big-endian devices decode the same
+    const view = new DataView(buffer);
+    const values = new Uint16Array(count);
+    for (let i = 0; i < count; i++) {
+      values[i] = view.getUint16(i * 2, true);
+    }
+    return values;
+  }
+
+  // Cached, de-duplicated tile load; failed fetches are retried next time
+  function loadTile(key) {
+    if (!manifest.keys.has(key)) return Promise.resolve(null);
+
+    if (tileCache.has(key)) {
+      const cached = tileCache.get(key);
+      tileCache.delete(key);
+      tileCache.set(key, cached);
+      return cached;
+    }
+
+    const pending = fetchTile(key).catch((err) => {
+      lastError = err;
+      console.warn("Light pollution tile unavailable", err);
+      tileCache.delete(key);
+      return null;
+    });
+    tileCache.set(key, pending);
+
+    while (tileCache.size > MAX_CACHED_TILES) {
+      tileCache.delete(tileCache.keys().next().value);
+    }
+
+    return pending;
+  }
+
+  // Sky brightness range mapped onto normalized 1..0
+  const SQM_BRIGHT = 18;   // brighter (worse)
+  const SQM_DARK = 21.5;   // darker (better)
+
+  // Darkest SQM reading (mag/arcsec²) still in each Bortle class, 1..9
+  const BORTLE_SQM_FLOOR = [21.99, 21.89, 21.69, 20.49, 19.5, 18.94, 18.38, 17.8, -Infinity];
+  // Representative reading per Bortle class, 1..9
+  const BORTLE_SQM_TYPICAL = [22.0, 21.94, 21.79, 21.09, 20.0, 19.22, 18.66, 18.09, 17.5];
+
+  function sqmToBortle(sqm) {
+    const idx = BORTLE_SQM_FLOOR.findIndex((floor) => sqm >= floor);
+    return idx + 1;
+  }
+
+  function bortleToSqm(bortle) {
+    const clamped = Math.min(9, Math.max(1, Math.round(bortle)));
+    return BORTLE_SQM_TYPICAL[clamped - 1];
+  }
+
+  function sqmToNormalized(sqm) {
+    const v = Math.min(SQM_DARK, Math.max(SQM_BRIGHT, sqm));
+    return 1 - (v - SQM_BRIGHT) / (SQM_DARK - SQM_BRIGHT);
+  }
+
+  function normalizedToSqm(normalized) {
+    const n = Math.min(1, Math.max(0, normalized));
+    return SQM_DARK - n * (SQM_DARK - SQM_BRIGHT);
+  }
+
+  function normalizedToBortle(normalized) {
+    return sqmToBortle(normalizedToSqm(normalized));
+  }
+
+  // Bortle classes go through their typical SQM so both inputs share one scale
+  function normalizeLightPollution(options) {
+    const opts = options || {};
+    const bortle = typeof opts.bortle === "number" ? opts.bortle : null;
+    const skyBrightness =
+      typeof opts.skyBrightness === "number" ? opts.skyBrightness : null;
+
+    if (skyBrightness != null) {
+      return sqmToNormalized(skyBrightness);
+    }
+
+    if (bortle != null) {
+      return sqmToNormalized(bortleToSqm(bortle));
+    }
+
+    return 0.5;
+  }
+
+  // Full result for a measured or grid sky brightness
+  function fromSkyBrightness(skyBrightness, source) {
+    const normalized = sqmToNormalized(skyBrightness);
+    return {
+      source,
+      normalized,
+      classification: classifyLightPollutionValue(normalized),
+      bortleClass: sqmToBortle(skyBrightness),
+      skyBrightness
+    };
+  }
+
+  // Full result for a normalized value (heuristic or manual); the Bortle
+  // class and SQM are then estimates on the shared scale.
+  function fromNormalized(normalized, source) {
+    return {
+      source,
+      normalized,
+      classification: classifyLightPollutionValue(normalized),
+      bortleClass: normalizedToBortle(normalized),
+      skyBrightness: normalizedToSqm(normalized),
+      estimated: true
+    };
+  }
+
+  function classifyLightPollutionValue(normalized) {
+    const n = Math.min(1, Math.max(0, normalized));
+    if (n < 0.33) {
+      return { label: "Dark skies", code: "dark" };
+    } else if (n < 0.66) {
+      return { label: "Suburban skies", code: "suburban" };
+    } else {
+      return { label: "Urban / bright skies", code: "urban" };
+    }
+  }
+
+  // Bilinear interpolation between the four surrounding grid points.
+  // No-data points are dropped and the remaining weights renormalised.
+  async function sampleGrid(lat, lon) {
+    if (!manifest || typeof lat !== "number" || typeof lon !== "number") {
+      return null;
+    }
+
+    const { key, lat0, lon0, lonWrapped } = tileFor(lat, lon);
+    const values = await loadTile(key);
+    if (!values) return null;
+
+    const { samples, tile_deg, scale, offset, nodata } = manifest;
+    const step = tile_deg / (samples - 1);
+    const y = Math.min(samples - 1, Math.max(0, (lat - lat0) / step));
+    const x = Math.min(samples - 1, Math.max(0, (lonWrapped - lon0) / step));
+
+    const y0 = Math.min(samples - 2, Math.floor(y));
+    const x0 = Math.min(samples - 2, Math.floor(x));
+    const fy = y - y0;
+    const fx = x - x0;
+
+    const corners = [
+      [y0, x0, (1 - fx) * (1 - fy)],
+      [y0, x0 + 1, fx * (1 - fy)],
+      [y0 + 1, x0, (1 - fx) * fy],
+      [y0 + 1, x0 + 1, fx * fy]
+    ];
+
+    let sum = 0;
+    let weight = 0;
+    corners.forEach(([row, col, w]) => {
+      const raw = values[row * samples + col];
+      if (raw === nodata || w === 0) return;
+      sum += (raw * scale + offset) * w;
+      weight += w;
+    });
+
+    if (weight <= 0) return null;
+
+    return { skyBrightness: sum / weight };
+  }
+
+  async function getLightPollution(lat, lon) {
+    // Load the tile manifest once; tiles themselves load on demand
+    await loadManifestIfNeeded();
+
+    // 1) If a tile covers these coordinates, interpolate it
+    const sampled = await sampleGrid(lat, lon);
+    if (sampled && typeof sampled.skyBrightness === "number") {
+      return fromSkyBrightness(sampled.skyBrightness, "world-atlas-grid");
+    }
+
+    // 2) Fallback heuristic based on latitude/longitude only
+    let heuristicNorm = 0.5;
+
+    if (typeof lat === "number" && typeof lon === "number") {
+      const absLat = Math.abs(lat);
+      if (absLat > 66) {
+        heuristicNorm = 0.22;
+      } else if (absLat > 58) {
+        heuristicNorm = 0.32;
+      } else if (absLat > 50) {
+        heuristicNorm = 0.42;
+      } else if (absLat > 40) {
+        heuristicNorm = 0.58;
+      } else {
+        heuristicNorm = 0.72;
+      }
+
+      const absLon = Math.abs(lon);
+      if (absLon > 150 || absLon < 20) {
+        heuristicNorm -= 0.05;
+      }
+    }
+
+    const normalized = Math.min(1, Math.max(0, heuristicNorm));
+
+    return fromNormalized(normalized, "fallback");
+  }
+
+  // { manifestLoaded, error } so pages can show why the heuristic is in use
+  function getStatus() {
+    return { manifestLoaded: !!manifest, error: lastError };
+  }
+
+  // Forget a failed manifest load so the next lookup fetches it again
+  function retry() {
+    lastError = null;
+    if (!manifest) manifestPromise = null;
+  }
+
+  return {
+    normalizeLightPollution,
+    classifyLightPollutionValue,
+    sqmToBortle,
+    bortleToSqm,
+    sqmToNormalized,
+    normalizedToSqm,
+    normalizedToBortle,
+    fromSkyBrightness,
+    fromNormalized,
+    getLightPollution,
+    getStatus,
+    retry
+  };
+})();
+
+// -------- Geomagnetic coordinates (IGRF tilted dipole) --------
+const Geomagnetic = (function () {
+  // IGRF-14 degree-1 Gauss coefficients (nT) for epoch 2025.0, plus the
+  // predictive secular variation (nT/year) valid through 2030.
+  const IGRF_EPOCH = 2025.0;
+  const G10 = -29350.0;
+  const G11 = -1410.3;
+  const H11 = 4545.5;
+  const G10_SV = 12.6;
+  const G11_SV = 10.0;
+  const H11_SV = -21.5;
+
+  function decimalYear(date) {
+    const d = date || new Date();
+    const year = d.getUTCFullYear();
+    const start = Date.UTC(year, 0, 1);
+    const end = Date.UTC(year + 1, 0, 1);
+    return year + (d.getTime() - start) / (end - start);
+  }
+
+  // Position of the northern geomagnetic (dipole) pole for a given date.
+  function dipolePole(date) {
+    // Clamp the extrapolation so stale coefficients degrade gently
+    const dt = Math.min(7, Math.max(-5, decimalYear(date) - IGRF_EPOCH));
+    const g10 = G10 + G10_SV * dt;
+    const g11 = G11 + G11_SV * dt;
+    const h11 = H11 + H11_SV * dt;
+
+    const b0 = Math.sqrt(g10 * g10 + g11 * g11 + h11 * h11);
+    const poleColat = Math.acos(-g10 / b0);
+    const poleLon = Math.atan2(-h11, -g11);
+
+    return {
+      lat: 90 - (poleColat * 180) / Math.PI,
+      lon: (poleLon * 180) / Math.PI
+    };
+  }
+
+  // Geographic → geomagnetic latitude/longitude by rotating onto the dipole axis.
+  function geographicToGeomagnetic(lat, lon, date) {
+    if (typeof lat !== "number" || typeof lon !== "number") return null;
+    if (!isFinite(lat) || !isFinite(lon)) return null;
+
+    const pole = dipolePole(date);
+    const d2r = Math.PI / 180;
+    const phi = lat * d2r;
+    const lam = lon * d2r;
+    const phiP = pole.lat * d2r;
+    const lamP = pole.lon * d2r;
+
+    const sinMlat =
+      Math.sin(phi) * Math.sin(phiP) +
+      Math.cos(phi) * Math.cos(phiP) * Math.cos(lam - lamP);
+    const mlat = Math.asin(Math.min(1, Math.max(-1, sinMlat)));
+
+    const y = Math.cos(phi) * Math.sin(lam - lamP);
+    const x =
+      Math.cos(phi) * Math.sin(phiP) * Math.cos(lam - lamP) -
+      Math.sin(phi) * Math.cos(phiP);
+    const mlon = Math.atan2(y, x);
+
+    return {
+      lat: mlat / d2r,
+      lon: mlon / d2r,
+      pole
+    };
+  }
+
+  return {
+    dipolePole,
+    geographicToGeomagnetic
+  };
+})();
+
+// -------- Scoring weights --------
+// Tunable model constants (expert settings). Every scoring entry point takes an
+// optional `weights` object; missing or invalid fields fall back to these.
+const DEFAULT_WEIGHTS = Object.freeze({
+  kpPoints: 60, // KP 9 is worth this many points
+  locationPoints: 30, // standing under the oval is worth this many points
+  cloudPoints: 25, // a fully clouded-out sky costs this many points
+  moonPoints: 18, // a full Moon overhead costs this many points
+  ovalFalloffKm: 1500, // location points reach zero this far from the oval edge
+  yesThreshold: 65, // final score for a "yes" verdict
+  maybeThreshold: 35 // final score for a "maybe" verdict
+});
+
+function normalizeWeights(weights) {
+  const w = weights || {};
+  const pick = (key, min, max) => {
+    const v = Number(w[key]);
+    return Number.isFinite(v) ? Math.min(max, Math.max(min, v)) : DEFAULT_WEIGHTS[key];
+  };
+
+  const yesThreshold = pick("yesThreshold", 1, 100);
+  return {
+    kpPoints: pick("kpPoints", 0, 100),
+    locationPoints: pick("locationPoints", 0, 100),
+    cloudPoints: pick("cloudPoints", 0, 100),
+    moonPoints: pick("moonPoints", 0, 100),
+    ovalFalloffKm: pick("ovalFalloffKm", 100, 5000),
+    yesThreshold,
+    maybeThreshold: Math.min(yesThreshold, pick("maybeThreshold", 0, 100))
+  };
+}
+
+// -------- Aurora brain module (pre-darkness, pre-moon) --------
+const AuroraBrain = (function () {
+  function kpScore(kp, weights) {
+    const k = Math.min(9, Math.max(0, Number(kp) || 0));
+    return (k / 9) * normalizeWeights(weights).kpPoints;
+  }
+
+  // With an OVATION grid, 60% of the term follows distance to the real
+  // oval edge and 40% the forecast probability overhead (50%+ is as good as it gets).
+  function locationScore(distanceToOvalKm, ovalProbability, weights) {
+    const { locationPoints, ovalFalloffKm: maxDist } = normalizeWeights(weights);
+    const d = Math.min(maxDist, Math.max(0, Number(distanceToOvalKm) || 0));
+    const distanceTerm = 1 - d / maxDist;
+
+    if (typeof ovalProbability !== "number" || !isFinite(ovalProbability)) {
+      return locationPoints * distanceTerm;
+    }
+
+    const probabilityTerm = Math.min(1, Math.max(0, ovalProbability) / 50);
+    return locationPoints * (0.6 * distanceTerm + 0.4 * probabilityTerm);
+  }
+
+  function lightPollutionPenalty(lightPollution, kp) {
+    const lp = Math.min(1, Math.max(0, Number(lightPollution) || 0));
+    const basePenalty = 30 * lp;
+
+    const k = Math.min(9, Math.max(0, Number(kp) || 0));
+    const kpReliefFactor = Math.min(1, k / 7);
+    const effectivePenalty = basePenalty * (1 - kpReliefFactor * 0.7);
+
+    return effectivePenalty;
+  }
+
+  // Real-time solar wind bonus: sustained southward Bz (amplified by fast, dense
+  // wind) drives substorms tens of minutes before the 3-hourly KP reflects them.
+  function solarWindScore(solarWind) {
+    if (!solarWind) return 0;
+
+    const bz = Number(solarWind.bzMean != null ? solarWind.bzMean : solarWind.bz);
+    if (!Number.isFinite(bz)) return 0;
+
+    const speed = Number(solarWind.speed);
+    const density = Number(solarWind.density);
+
+    // -10 nT held for half an hour is strongly geo-effective; northward Bz adds nothing.
+    const southward = Math.min(1, Math.max(0, -bz / 10));
+    const speedFactor = Number.isFinite(speed)
+      ? Math.min(1.5, Math.max(0.6, speed / 450))
+      : 1;
+    const densityFactor = Number.isFinite(density)
+      ? Math.min(1.2, Math.max(0.85, 0.85 + density / 40))
+      : 1;
+
+    let points = 15 * southward * speedFactor * densityFactor;
+
+    // Fast streams help a little even when Bz is only wobbling south.
+    if (Number.isFinite(speed) && speed > 500 && bz < 0) {
+      points += Math.min(5, ((speed - 500) / 200) * 5);
+    }
+
+    return Math.min(25, Math.max(0, points));
+  }
+
+  // Layered clouds: low cloud blocks the sky outright, mid cloud nearly so,
+  // thin high cirrus only dims it. Haze and showers cut transparency further.
+  // Returns { obscuration: 0..1, layered } or null without any cloud data.
+  function cloudObscuration(clouds, cloudCover) {
+    const frac = (v) =>
+      typeof v === "number" && Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : null;
+
+    const c = clouds || {};
+    const low = frac(c.low);
+    const mid = frac(c.mid);
+    const high = frac(c.high);
+    const total = frac(c.cover != null ? c.cover : cloudCover);
+    const layered = low != null || mid != null || high != null;
+
+    let transparency;
+    if (layered) {
+      transparency = (1 - (low || 0)) * (1 - 0.9 * (mid || 0)) * (1 - 0.35 * (high || 0));
+    } else if (total != null) {
+      transparency = 1 - total;
+    } else {
+      return null;
+    }
+
+    // Below ~10 km visibility the horizon, where the oval usually sits, goes first
+    const vis = Number(c.visibility);
+    if (c.visibility != null && Number.isFinite(vis) && vis < 10000) {
+      transparency *= Math.max(0.2, vis / 10000);
+    }
+
+    const pp = frac(c.precipitationProbability);
+    if (pp != null) transparency *= 1 - 0.5 * pp;
+
+    return { obscuration: 1 - transparency, layered };
+  }
+
+  // The flat penalty covers broken cloud. Past half the sky hidden, the rest of
+  // the score shrinks with what is left to see, reaching zero at full cover.
+  const SKY_SCALING_FROM = 0.5;
+  // From here the sky counts as overcast and the verdict is always "no"
+  const OVERCAST_OBSCURATION = 0.9;
+
+  function skyVisibilityFactor(obscuration) {
+    const o = Math.min(1, Math.max(0, Number(obscuration) || 0));
+    return Math.min(1, (1 - o) / (1 - SKY_SCALING_FROM));
+  }
+
+  // Dialled-back time-of-night tweak: small bonus around local midnight only.
+  function timeOfNightAdjustment(timeLocalHour) {
+    if (typeof timeLocalHour !== "number") return 0;
+    const h = ((timeLocalHour % 24) + 24) % 24;
+
+    if (h >= 22 || h < 2) return +3; // around local midnight
+    if ((h >= 3 && h <= 4) || (h >= 20 && h <= 21)) return +1; // shoulders
+    return 0; // no explicit daytime penalty here – handled by darkness model
+  }
+
+  // Computes a "base" score ignoring detailed darkness & moon.
+  function computeBrain(inputs) {
+    const {
+      kp,
+      distanceToOvalKm,
+      ovalProbability,
+      geomagneticLatitude,
+      lightPollution,
+      cloudCover,
+      clouds,
+      timeLocalHour,
+      solarWind,
+      weights
+    } = inputs;
+
+    // Each step is kept as { factor, points, text }; `debug` is the text alone
+    const debug = [];
+    const explanation = [];
+    const explain = (factor, points, text) => {
+      explanation.push({ factor, points, text });
+      debug.push(text);
+    };
+
+    const sKp = kpScore(kp, weights);
+    explain("kp", sKp, `KP index ${kp} contributes ${sKp.toFixed(1)} points.`);
+
+    const sWind = solarWindScore(solarWind);
+    if (solarWind && sWind > 0) {
+      const bzShown = solarWind.bzMean != null ? solarWind.bzMean : solarWind.bz;
+      const speedPart = Number.isFinite(solarWind.speed)
+        ? `, wind ${Math.round(solarWind.speed)} km/s`
+        : "";
+      explain(
+        "solarWind",
+        sWind,
+        `Solar wind (Bz ${bzShown.toFixed(1)} nT${speedPart}) adds ${sWind.toFixed(
+          1
+        )} points ahead of KP.`
+      );
+    } else if (solarWind) {
+      explain(
+        "solarWind",
+        0,
+        "Solar wind magnetic field is not pointing south – no early substorm boost."
+      );
+    }
+
+    if (typeof ovalProbability === "number") {
+      const edgeText =
+        typeof distanceToOvalKm === "number" && distanceToOvalKm > 0
+          ? `its equatorward edge is about ${Math.round(distanceToOvalKm)} km away`
+          : "you are under or poleward of its equatorward edge";
+      explain(
+        "location",
+        null,
+        `NOAA OVATION forecasts a ${ovalProbability.toFixed(
+          0
+        )}% aurora probability overhead; ${edgeText}.`
+      );
+    }
+
+    const sLoc = locationScore(distanceToOvalKm, ovalProbability, weights);
+    const geomagPart =
+      typeof geomagneticLatitude === "number"
+        ? ` (geomagnetic latitude ${geomagneticLatitude.toFixed(1)}°)`
+        : "";
+    explain(
+      "location",
+      sLoc,
+      `Your position${geomagPart} relative to the auroral oval contributes ${sLoc.toFixed(
+        1
+      )} points.`
+    );
+
+    const lpPenalty = lightPollutionPenalty(lightPollution, kp);
+    if (lightPollution < 0.33) {
+      explain(
+        "lightPollution",
+        -lpPenalty,
+        `Dark skies – only a small light pollution penalty (${lpPenalty.toFixed(
+          1
+        )} points).`
+      );
+    } else if (lightPollution < 0.66) {
+      explain(
+        "lightPollution",
+        -lpPenalty,
+        `Moderate light pollution – medium penalty (${lpPenalty.toFixed(
+          1
+        )} points).`
+      );
+    } else {
+      explain(
+        "lightPollution",
+        -lpPenalty,
+        `Bright urban skies – heavy light pollution penalty (${lpPenalty.toFixed(
+          1
+        )} points).`
+      );
+    }
+
+    let score = sKp + sWind + sLoc - lpPenalty;
+
+    const sky = cloudObscuration(clouds, cloudCover);
+    let cloudPenalty = 0;
+    if (sky) {
+      cloudPenalty = normalizeWeights(weights).cloudPoints * sky.obscuration;
+      score -= cloudPenalty;
+      if (sky.layered) {
+        const pct = (v) => (typeof v === "number" ? `${Math.round(v * 100)}%` : "–");
+        explain(
+          "clouds",
+          -cloudPenalty,
+          `Clouds (low ${pct(clouds.low)}, mid ${pct(clouds.mid)}, high ${pct(
+            clouds.high
+          )}) hide about ${Math.round(sky.obscuration * 100)}% of the sky, reducing the score by ${cloudPenalty.toFixed(
+            1
+          )} points.`
+        );
+      } else {
+        explain(
+          "clouds",
+          -cloudPenalty,
+          `Cloud cover reduces the score by ${cloudPenalty.toFixed(
+            1
+          )} points (cover: ${(sky.obscuration * 100).toFixed(0)}%).`
+        );
+      }
+
+      const skyFactor = skyVisibilityFactor(sky.obscuration);
+      if (skyFactor < 1 && score > 0) {
+        const lost = score * (1 - skyFactor);
+        score -= lost;
+        cloudPenalty += lost;
+        explain(
+          "clouds",
+          -lost,
+          `With only ${Math.round((1 - sky.obscuration) * 100)}% of the sky clear, the rest of the score is scaled to ${Math.round(
+            skyFactor * 100
+          )}%.`
+        );
+      }
+    }
+
+    const timeAdj = timeOfNightAdjustment(timeLocalHour);
+    if (timeAdj !== 0) {
+      score += timeAdj;
+      const timeLabel = formatHourLocal(timeLocalHour);
+      explain(
+        "timeOfNight",
+        timeAdj,
+        `Local time adjustment of ${timeAdj.toFixed(
+          1
+        )} points based on local time ${timeLabel}.`
+      );
+    }
+
+    score = Math.max(0, Math.min(100, score));
+    explain(
+      "base",
+      score,
+      `Base visibility score before darkness adjustment: ${score.toFixed(
+        0
+      )} / 100.`
+    );
+
+    return {
+      score,
+      debug,
+      explanation,
+      kpScore: sKp,
+      solarWindScore: sWind,
+      locationScore: sLoc,
+      lightPollutionPenalty: lpPenalty,
+      cloudPenalty,
+      cloudObscuration: sky ? sky.obscuration : null,
+      overcast: !!sky && sky.obscuration >= OVERCAST_OBSCURATION,
+      timeOfNightAdjustment: timeAdj,
+      geomagneticLatitude
+    };
+  }
+
+  return {
+    kpScore,
+    solarWindScore,
+    locationScore,
+    lightPollutionPenalty,
+    cloudObscuration,
+    skyVisibilityFactor,
+    OVERCAST_OBSCURATION,
+    timeOfNightAdjustment,
+    computeBrain
+  };
+})();
+
+// -------- Solar position and darkness model --------
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function toDeg(rad) {
+  return (rad * 180) / Math.PI;
+}
+
+function wrapHour(h) {
+  let v = h % 24;
+  if (v < 0) v += 24;
+  return v;
+}
+
+// -------- Site time zone --------
+// Darkness, moon and chart hours are wall-clock hours at the site. `timeZone`
+// is an IANA name such as "Europe/Oslo"; null falls back to the device clock.
+const zoneFormatters = new Map();
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function zonedParts(date, timeZone) {
+  if (!timeZone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds()
+    };
+  }
+
+  let fmt = zoneFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric"
+    });
+    zoneFormatters.set(timeZone, fmt);
+  }
+
+  const parts = {};
+  fmt.formatToParts(date).forEach((part) => {
+    if (part.type !== "literal") parts[part.type] = Number(part.value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+// Site clock minus UTC in hours at `date`, e.g. +2 for CEST
+function zoneOffsetHours(date, timeZone) {
+  if (!timeZone) return -date.getTimezoneOffset() / 60;
+  const p = zonedParts(date, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return (wall - Math.floor(date.getTime() / 1000) * 1000) / 3600000;
+}
+
+function localHourIn(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return p.hour + p.minute / 60 + p.second / 3600;
+}
+
+// The instant the site clock reads year-month-day hour:minute
+function dateFromLocalParts(year, month, day, hour, minute, timeZone) {
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hour, minute, 0, 0);
+  }
+
+  // Second pass settles the offset when a DST change falls in between
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let t = wall - zoneOffsetHours(new Date(wall), timeZone) * 3600000;
+  t = wall - zoneOffsetHours(new Date(t), timeZone) * 3600000;
+  return new Date(t);
+}
+
+// The instant the site clock reads `hourValue` on the site's calendar day of `baseDate`
+function dateAtLocalHour(hourValue, baseDate, timeZone) {
+  const p = zonedParts(new Date(baseDate), timeZone);
+  const hoursWhole = Math.floor(hourValue);
+  const minutes = Math.round((hourValue - hoursWhole) * 60);
+  return dateFromLocalParts(p.year, p.month, p.day, hoursWhole, minutes, timeZone);
+}
+
+function isSameLocalDay(a, b, timeZone) {
+  const pa = zonedParts(a, timeZone);
+  const pb = zonedParts(b, timeZone);
+  return pa.year === pb.year && pa.month === pb.month && pa.day === pb.day;
+}
+
+// Same site-clock time `days` calendar days later; stepping from noon keeps
+// 23- and 25-hour DST days on the right date.
+function shiftLocalDays(date, days, timeZone) {
+  const noon = dateAtLocalHour(12, date, timeZone);
+  return dateAtLocalHour(
+    localHourIn(date, timeZone),
+    new Date(noon.getTime() + days * 86400000),
+    timeZone
+  );
+}
+
+// Start of the site-clock hour containing `date`
+function startOfLocalHour(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return new Date(
+    date.getTime() - (p.minute * 60 + p.second) * 1000 - date.getMilliseconds()
+  );
+}
+
+function isoToLocalHour(isoString, timeZone) {
+  if (!isoString) return null;
+  const d = new Date(isoString);
+  if (Number.isNaN(d.getTime())) return null;
+  return localHourIn(d, timeZone);
+}
+
+function isHourBetween(h, start, end) {
+  if (start == null || end == null) return false;
+  h = wrapHour(h);
+  start = wrapHour(start);
+  end = wrapHour(end);
+  if (start === end) return false;
+  if (start < end) {
+    return h >= start && h < end;
+  } else {
+    return h >= start || h < end;
+  }
+}
+
+function formatHourLocal(h) {
+  if (h == null || !isFinite(h)) return "";
+  const wh = wrapHour(h);
+  const hour = Math.floor(wh);
+  const minutes = Math.round((wh - hour) * 60);
+  const hh = hour.toString().padStart(2, "0");
+  const mm = minutes.toString().padStart(2, "0");
+  return `${hh}:${mm}`;
+}
+
+// Sun declination and equation of time (NOAA / Meeus low-precision series,
+// good to about 0.01° and a few seconds for dates within a few centuries).
+function solarPosition(date) {
+  const T = (date.getTime() / 86400000 + 2440587.5 - 2451545) / 36525;
+
+  const L0 = toRad((280.46646 + T * (36000.76983 + T * 0.0003032)) % 360);
+  const M = toRad(357.52911 + T * (35999.05029 - 0.0001537 * T));
+  const e = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+
+  const C = toRad(
+    Math.sin(M) * (1.914602 - T * (0.004817 + 0.000014 * T)) +
+      Math.sin(2 * M) * (0.019993 - 0.000101 * T) +
+      Math.sin(3 * M) * 0.000289
+  );
+  const omega = toRad(125.04 - 1934.136 * T);
+  const lambda = L0 + C - toRad(0.00569 + 0.00478 * Math.sin(omega));
+
+  const eps0 = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+  const eps = toRad(eps0 + 0.00256 * Math.cos(omega));
+
+  const declination = Math.asin(Math.sin(eps) * Math.sin(lambda));
+
+  const y = Math.tan(eps / 2) ** 2;
+  const eqTimeMinutes =
+    4 *
+    toDeg(
+      y * Math.sin(2 * L0) -
+        2 * e * Math.sin(M) +
+        4 * e * y * Math.sin(M) * Math.cos(2 * L0) -
+        0.5 * y * y * Math.sin(4 * L0) -
+        1.25 * e * e * Math.sin(2 * M)
+    );
+
+  return { declination, eqTimeMinutes };
+}
+
+// Geometric altitude of the Sun's centre in degrees at any instant
+function sunAltitude(date, lat, lon) {
+  if (typeof lat !== "number" || typeof lon !== "number") return null;
+
+  const { declination, eqTimeMinutes } = solarPosition(date);
+  const utcMinutes =
+    date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+  const trueSolarMinutes = utcMinutes + eqTimeMinutes + 4 * lon;
+  const hourAngle = toRad(trueSolarMinutes / 4 - 180);
+  const phi = toRad(lat);
+
+  const sinAlt =
+    Math.sin(phi) * Math.sin(declination) +
+    Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle);
+  return toDeg(Math.asin(Math.min(1, Math.max(-1, sinAlt))));
+}
+
+function twilightPhase(altitudeDeg) {
+  if (altitudeDeg > -0.833) return "daylight";
+  if (altitudeDeg > -6) return "civil twilight";
+  if (altitudeDeg > -12) return "nautical twilight";
+  if (altitudeDeg > -18) return "astronomical twilight";
+  return "night";
+}
+
+function computeDarknessInfo(lat, lon, date, timeZone) {
+  if (typeof lat !== "number" || typeof lon !== "number") return null;
+  if (!isFinite(lat) || !isFinite(lon)) return null;
+
+  const d = date || new Date();
+  const tz = timeZone || null;
+  const latRad = toRad(lat);
+
+  // Sun position at the site's local noon for this date
+  const { declination: decl, eqTimeMinutes } = solarPosition(dateAtLocalHour(12, d, tz));
+
+  // Solar noon from longitude, the site's timezone and the equation of time
+  const tzOffsetHours = zoneOffsetHours(d, tz); // e.g. +1 for CET
+  const centralMeridian = tzOffsetHours * 15; // degrees
+  const solarNoon = 12 + (centralMeridian - lon) / 15 - eqTimeMinutes / 60; // local clock hours
+
+  function hourAngleForAltitude(h0Deg) {
+    const h0 = toRad(h0Deg);
+    const cosH =
+      (Math.sin(h0) - Math.sin(latRad) * Math.sin(decl)) /
+      (Math.cos(latRad) * Math.cos(decl));
+
+    if (cosH < -1) {
+      // Sun always above this altitude (relative to this threshold)
+      return { alwaysAbove: true, exists: false };
+    }
+    if (cosH > 1) {
+      // Sun always below this altitude
+      return { alwaysBelow: true, exists: false };
+    }
+
+    const H = Math.acos(cosH);
+    const Hdeg = toDeg(H);
+    return { exists: true, Hdeg };
+  }
+
+  // Sunrise / sunset (~ upper limb, includes refraction)
+  const sun0 = hourAngleForAltitude(-0.833);
+  let sunrise = null;
+  let sunset = null;
+  let hasDay = false;
+  let alwaysDaylight = false;
+  let alwaysNight = false;
+
+  if (sun0.exists) {
+    const Hsun = sun0.Hdeg;
+    sunrise = wrapHour(solarNoon - Hsun / 15);
+    sunset = wrapHour(solarNoon + Hsun / 15);
+    hasDay = true;
+  } else if (sun0.alwaysAbove) {
+    alwaysDaylight = true;
+  } else if (sun0.alwaysBelow) {
+    alwaysNight = true;
+  }
+
+  // Astronomical darkness (Sun 18° below horizon)
+  const astro = hourAngleForAltitude(-18);
+  let astroDawn = null;
+  let astroDusk = null;
+  let hasAstronomicalNight = false;
+  let neverDark = false;
+  let alwaysAstronomicalDark = false;
+
+  if (astro.exists) {
+    const Hastro = astro.Hdeg;
+    astroDawn = wrapHour(solarNoon - Hastro / 15);
+    astroDusk = wrapHour(solarNoon + Hastro / 15);
+    hasAstronomicalNight = true;
+  } else if (astro.alwaysAbove) {
+    // Sun never 18° below horizon → no full astronomical night
+    neverDark = true;
+  } else if (astro.alwaysBelow) {
+    // Sun always deeper than 18° → essentially full darkness
+    alwaysAstronomicalDark = true;
+  }
+
+  const hourNow = localHourIn(d, tz);
+  let isDaylightNow = false;
+
+  if (hasDay) {
+    isDaylightNow = isHourBetween(hourNow, sunrise, sunset);
+  } else if (alwaysDaylight) {
+    isDaylightNow = true;
+  }
+
+  let isDarkNow = false;
+  if (alwaysAstronomicalDark) {
+    isDarkNow = true;
+  } else if (hasAstronomicalNight) {
+    isDarkNow = isHourBetween(hourNow, astroDusk, astroDawn);
+  }
+
+  return {
+    date: d,
+    timeZone: tz,
+    sunrise,
+    sunset,
+    astroDawn,
+    astroDusk,
+    hasDay,
+    alwaysDaylight,
+    alwaysNight,
+    hasAstronomicalNight,
+    neverDark,
+    alwaysAstronomicalDark,
+    isDaylightNow,
+    isDarkNow
+  };
+}
+
+// `date` is the moment the "now" flags describe; the times themselves are
+// for the day the results were fetched for.
+function buildDarknessFromLiveTimes(results, timeZone, date) {
+  if (!results) return null;
+
+  const tz = timeZone || null;
+  const sunrise = isoToLocalHour(results.sunrise, tz);
+  const sunset = isoToLocalHour(results.sunset, tz);
+  const astroDawn = isoToLocalHour(results.astronomical_twilight_begin, tz);
+  const astroDusk = isoToLocalHour(results.astronomical_twilight_end, tz);
+
+  if (astroDawn == null || astroDusk == null) return null;
+
+  const now = date ? new Date(date) : new Date();
+  const hourNow = localHourIn(now, tz);
+
+  const hasDay = sunrise != null && sunset != null;
+  const hasAstronomicalNight = true;
+
+  const isDaylightNow = hasDay && isHourBetween(hourNow, sunrise, sunset);
+  const isDarkNow = isHourBetween(hourNow, astroDusk, astroDawn);
+
+  return {
+    date: now,
+    timeZone: tz,
+    sunrise,
+    sunset,
+    astroDawn,
+    astroDusk,
+    hasDay,
+    alwaysDaylight: false,
+    alwaysNight: false,
+    hasAstronomicalNight,
+    neverDark: false,
+    alwaysAstronomicalDark: false,
+    isDaylightNow,
+    isDarkNow,
+    source: "live-api"
+  };
+}
+
+// Darkness → scale factor + explanation, based on the *current* time context in the object.
+// Share of the score kept in full daylight
+const DAYLIGHT_FACTOR = 0.25;
+
+// Smooth darkness factor from sun altitude: DAYLIGHT_FACTOR at sunrise/sunset,
+// rising through civil and nautical twilight to 1 at astronomical night (−18°).
+// The logistic is centred on −10°, where the sky background drops fastest.
+function darknessFactorForSunAltitude(altitudeDeg) {
+  if (altitudeDeg <= -18) return 1;
+  if (altitudeDeg >= 0) return DAYLIGHT_FACTOR;
+
+  const s = (a) => 1 / (1 + Math.exp((a + 10) / 2.2));
+  const t = (s(altitudeDeg) - s(0)) / (s(-18) - s(0));
+  return DAYLIGHT_FACTOR + (1 - DAYLIGHT_FACTOR) * t;
+}
+
+function computeDarknessFactorAndNote(darkness, sunAltitudeDeg) {
+  if (typeof sunAltitudeDeg !== "number" || Number.isNaN(sunAltitudeDeg)) {
+    return {
+      factor: 1,
+      note:
+        "Darkness model unavailable – leaving the score unchanged for day/night."
+    };
+  }
+
+  const factor = darknessFactorForSunAltitude(sunAltitudeDeg);
+  const phase = twilightPhase(sunAltitudeDeg);
+  const position =
+    sunAltitudeDeg >= 0
+      ? `The Sun is ${sunAltitudeDeg.toFixed(1)}° above the horizon`
+      : `The Sun is ${Math.abs(sunAltitudeDeg).toFixed(1)}° below the horizon`;
+
+  if (factor >= 0.995) {
+    return {
+      factor: 1,
+      note: `No darkness penalty – ${position.charAt(0).toLowerCase()}${position.slice(
+        1
+      )}, so the sky is fully dark.`
+    };
+  }
+
+  const polarNote =
+    darkness && darkness.neverDark
+      ? " The sky never reaches full astronomical darkness at this time of year."
+      : "";
+
+  return {
+    factor,
+    note: `${position} (${phase}), so the score is scaled to ${Math.round(
+      factor * 100
+    )}%.${polarNote}`
+  };
+}
+
+// -------- Simple Moon model (phase & brightness) --------
+
+const rad = Math.PI / 180;
+const dayMs = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const obliquity = rad * 23.4397;
+
+function toJulian(date) {
+  return date.valueOf() / dayMs - 0.5 + J1970;
+}
+
+function toDays(date) {
+  return toJulian(date) - J2000;
+}
+
+function siderealTime(d, lw) {
+  return rad * (280.16 + 360.9856235 * d) - lw;
+}
+
+function moonCoords(d) {
+  const L = rad * (218.316 + 13.176396 * d);
+  const M = rad * (134.963 + 13.064993 * d);
+  const F = rad * (93.272 + 13.22935 * d);
+
+  const l = L + rad * 6.289 * Math.sin(M);
+  const b = rad * 5.128 * Math.sin(F);
+  const dist = 385001 - 20905 * Math.cos(M); // km, Earth centre to Moon centre
+
+  const ra = Math.atan2(
+    Math.sin(l) * Math.cos(obliquity) - Math.tan(b) * Math.sin(obliquity),
+    Math.cos(l)
+  );
+  const dec = Math.asin(
+    Math.sin(b) * Math.cos(obliquity) + Math.cos(b) * Math.sin(obliquity) * Math.sin(l)
+  );
+
+  return { ra, dec, dist };
+}
+
+function computeMoonAltitude(date, lat, lon) {
+  if (typeof lat !== "number" || typeof lon !== "number") return null;
+
+  const lw = rad * -lon;
+  const phi = rad * lat;
+  const d = toDays(date);
+  const c = moonCoords(d);
+  const H = siderealTime(d, lw) - c.ra;
+
+  const h = Math.asin(
+    Math.sin(phi) * Math.sin(c.dec) + Math.cos(phi) * Math.cos(c.dec) * Math.cos(H)
+  );
+
+  // Topocentric correction: seen from the surface the Moon sits up to ~1° lower
+  const parallax = Math.asin(6378.14 / c.dist);
+  return h - parallax * Math.cos(h);
+}
+
+// Moonrise / moonset between two instants: 10-minute altitude samples with
+// the horizon crossing interpolated linearly between them.
+function computeMoonTimes(start, end, lat, lon) {
+  if (typeof lat !== "number" || typeof lon !== "number") return null;
+
+  const stepMs = 10 * 60000;
+  let prevT = start.getTime();
+  let prevAlt = computeMoonAltitude(start, lat, lon);
+  const upAtStart = prevAlt > 0;
+  let everUp = upAtStart;
+  let everDown = !upAtStart;
+  let rise = null;
+  let set = null;
+
+  for (let t = prevT + stepMs; t <= end.getTime(); t += stepMs) {
+    const alt = computeMoonAltitude(new Date(t), lat, lon);
+    if (prevAlt > 0 !== alt > 0) {
+      const when = new Date(prevT + ((t - prevT) * prevAlt) / (prevAlt - alt));
+      if (alt > 0 && !rise) rise = when;
+      if (alt <= 0 && !set) set = when;
+    }
+    if (alt > 0) everUp = true;
+    else everDown = true;
+    prevT = t;
+    prevAlt = alt;
+  }
+
+  return { rise, set, upAtStart, alwaysUp: !everDown, alwaysDown: !everUp };
+}
+
+// Longest stretch between two instants with the Sun below −18° and no
+// meaningful Moon in the sky (below the horizon or under 10% lit).
+function computeMoonFreeDarkWindow(start, end, lat, lon) {
+  if (typeof lat !== "number" || typeof lon !== "number") return null;
+
+  const stepMs = 10 * 60000;
+  const midpoint = new Date((start.getTime() + end.getTime()) / 2);
+  const faintMoon = computeMoonInfo(midpoint, lat, lon).illumination < 0.1;
+
+  let best = null;
+  let runStart = null;
+  for (let t = start.getTime(); t <= end.getTime(); t += stepMs) {
+    const date = new Date(t);
+    const ok =
+      sunAltitude(date, lat, lon) <= -18 &&
+      (faintMoon || computeMoonAltitude(date, lat, lon) <= 0);
+
+    if (ok && runStart == null) runStart = t;
+    if ((!ok || t + stepMs > end.getTime()) && runStart != null) {
+      const runEnd = ok ? t : t - stepMs;
+      if (runEnd > runStart && (!best || runEnd - runStart > best.end - best.start)) {
+        best = { start: new Date(runStart), end: new Date(runEnd) };
+      }
+      runStart = null;
+    }
+  }
+
+  return best;
+}
+
+function computeMoonInfo(date, lat, lon) {
+  const d = date ? new Date(date) : new Date();
+  const synodicMonth = 29.53058867; // days
+  // Known reference new moon: 2000-01-06 18:14 UTC
+  const knownNewMoon = Date.UTC(2000, 0, 6, 18, 14);
+  const days = (d.getTime() - knownNewMoon) / 86400000;
+  let phase = days / synodicMonth;
+  phase = phase - Math.floor(phase); // wrap into [0,1)
+
+  // Approximate illumination fraction: 0 = new, 1 = full
+  const illumination = 0.5 * (1 - Math.cos(2 * Math.PI * phase));
+
+  let phaseName;
+  if (phase < 0.03 || phase > 0.97) {
+    phaseName = "New Moon";
+  } else if (phase < 0.22) {
+    phaseName = "Waxing crescent";
+  } else if (phase < 0.28) {
+    phaseName = "First quarter";
+  } else if (phase < 0.47) {
+    phaseName = "Waxing gibbous";
+  } else if (phase < 0.53) {
+    phaseName = "Full Moon";
+  } else if (phase < 0.72) {
+    phaseName = "Waning gibbous";
+  } else if (phase < 0.78) {
+    phaseName = "Last quarter";
+  } else {
+    phaseName = "Waning crescent";
+  }
+
+  const altitudeRad = computeMoonAltitude(d, lat, lon);
+  const altitudeDeg =
+    typeof altitudeRad === "number" ? Math.round((altitudeRad * 180) / Math.PI * 10) / 10 : null;
+  const isUp = altitudeDeg == null ? true : altitudeDeg > 0;
+
+  return { phase, illumination, phaseName, altitude: altitudeDeg, isUp };
+}
+
+function computeMoonPenalty(moon, darknessContext, weights) {
+  if (!moon || !darknessContext) return 0;
+
+  // If it's essentially daytime (or polar day), let the daylight penalty handle it
+  if (darknessContext.alwaysDaylight || darknessContext.isDaylightNow) {
+    return 0;
+  }
+
+  if (moon.isUp === false) return 0;
+
+  const illum = Math.min(1, Math.max(0, moon.illumination || 0));
+  if (illum < 0.1) return 0; // very dark Moon – negligible effect
+
+  // A low Moon lights less of the sky and is dimmed by extinction near the
+  // horizon: ~40% of the full effect at 10°, ~70% at 30°, all of it overhead.
+  const altitude = typeof moon.altitude === "number" ? moon.altitude : 90;
+  const altitudeFactor = Math.sqrt(Math.max(0, Math.sin(toRad(altitude))));
+
+  const maxPenalty = normalizeWeights(weights).moonPoints; // a full Moon overhead
+  return maxPenalty * illum * altitudeFactor;
+}
+
+// -------- Cloud forecast lookup --------
+
+// Nearest hourly cloud entry within ~90 minutes; beyond the forecast range
+// callers fall back to the current cover.
+function cloudEntryForTime(targetDate, hourly) {
+  if (!hourly || !hourly.length) return null;
+
+  const targetTs = targetDate.getTime();
+  let best = null;
+  let bestDiff = Infinity;
+
+  hourly.forEach((entry) => {
+    if (!entry || !entry.time || typeof entry.cover !== "number") return;
+    const diff = Math.abs(entry.time.getTime() - targetTs);
+    if (diff < bestDiff) {
+      best = entry;
+      bestDiff = diff;
+    }
+  });
+
+  return bestDiff <= 90 * 60 * 1000 ? best : null;
+}
+
+// -------- NOAA OVATION probability grid --------
+// Built from the normalized `ovation` feed (see data-providers.mjs):
+//   const grid = OvationGrid.fromFeed((await fetchFeed("ovation")).data);
+const OvationGrid = (function () {
+  // Probability (%) we treat as the visible equatorward edge of the oval
+  const EDGE_PROBABILITY = 10;
+  // How far either side of the site's longitude we look for a closer edge
+  const EDGE_SEARCH_LON_DEG = 45;
+  const KM_PER_DEG = 111.2;
+
+  function cellIndex(latIdx, lonIdx) {
+    return latIdx * 360 + lonIdx;
+  }
+
+  // Per-longitude equatorward edge latitude (or null) in each hemisphere
+  function buildEdges(grid) {
+    const north = new Array(360).fill(null);
+    const south = new Array(360).fill(null);
+
+    for (let lonIdx = 0; lonIdx < 360; lonIdx++) {
+      // Walk from the equator towards each pole; first cell over the
+      // threshold is the equatorward edge in that hemisphere.
+      for (let lat = 0; lat <= 90; lat++) {
+        if (grid[cellIndex(lat + 90, lonIdx)] >= EDGE_PROBABILITY) {
+          north[lonIdx] = lat;
+          break;
+        }
+      }
+      for (let lat = 0; lat >= -90; lat--) {
+        if (grid[cellIndex(lat + 90, lonIdx)] >= EDGE_PROBABILITY) {
+          south[lonIdx] = lat;
+          break;
+        }
+      }
+    }
+
+    return { north, south };
+  }
+
+  // Looking hoursAhead into the night, the Earth turns under a Sun-fixed oval:
+  // the pattern our site will sit under is the one now at lon + 15°/hour.
+  function shiftedLon(lon, hoursAhead) {
+    const shift = typeof hoursAhead === "number" ? hoursAhead * 15 : 0;
+    return (((lon + shift) % 360) + 360) % 360;
+  }
+
+  function haversineKm(lat1, lon1, lat2, lon2) {
+    const d2r = Math.PI / 180;
+    const dLat = (lat2 - lat1) * d2r;
+    const dLon = (lon2 - lon1) * d2r;
+    const a =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(lat1 * d2r) * Math.cos(lat2 * d2r) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  function fromFeed(data) {
+    // Float32Array, index (lat + 90) * 360 + lon
+    const grid = new Float32Array(181 * 360);
+    data.points.forEach((entry) => {
+      const lon = Math.round(Number(entry[0]));
+      const lat = Math.round(Number(entry[1]));
+      const value = Number(entry[2]);
+      if (!Number.isFinite(lon) || !Number.isFinite(lat) || !Number.isFinite(value)) return;
+      if (lat < -90 || lat > 90) return;
+      const lonIdx = ((lon % 360) + 360) % 360;
+      grid[cellIndex(lat + 90, lonIdx)] = value;
+    });
+    const edges = buildEdges(grid);
+
+    // Bilinear interpolation of the 1° grid (percent probability).
+    function sampleProbability(lat, lon, hoursAhead) {
+      if (typeof lat !== "number" || typeof lon !== "number") return null;
+
+      const x = shiftedLon(lon, hoursAhead);
+      const y = Math.min(90, Math.max(-90, lat)) + 90;
+
+      const x0 = Math.floor(x) % 360;
+      const x1 = (x0 + 1) % 360;
+      const y0 = Math.min(180, Math.floor(y));
+      const y1 = Math.min(180, y0 + 1);
+      const fx = x - Math.floor(x);
+      const fy = y - y0;
+
+      const v00 = grid[cellIndex(y0, x0)];
+      const v10 = grid[cellIndex(y0, x1)];
+      const v01 = grid[cellIndex(y1, x0)];
+      const v11 = grid[cellIndex(y1, x1)];
+
+      return (
+        v00 * (1 - fx) * (1 - fy) +
+        v10 * fx * (1 - fy) +
+        v01 * (1 - fx) * fy +
+        v11 * fx * fy
+      );
+    }
+
+    // Great-circle distance to the nearest point of the oval's equatorward edge
+    // in the site's hemisphere. 0 when the site is already under or poleward of it.
+    function distanceToEquatorwardEdgeKm(lat, lon, hoursAhead) {
+      if (typeof lat !== "number" || typeof lon !== "number") return null;
+
+      const hemisphereEdges = lat >= 0 ? edges.north : edges.south;
+      const x = shiftedLon(lon, hoursAhead);
+      const ownEdge = hemisphereEdges[Math.round(x) % 360];
+
+      if (ownEdge != null && Math.abs(lat) >= Math.abs(ownEdge)) {
+        return 0;
+      }
+
+      let best = null;
+      for (let dLon = -EDGE_SEARCH_LON_DEG; dLon <= EDGE_SEARCH_LON_DEG; dLon++) {
+        const idx = (((Math.round(x) + dLon) % 360) + 360) % 360;
+        const edgeLat = hemisphereEdges[idx];
+        if (edgeLat == null) continue;
+        // Compare in the shifted frame so the geometry matches the sampled pattern
+        const dist = haversineKm(lat, x, edgeLat, idx);
+        if (best == null || dist < best) best = dist;
+      }
+
+      if (best == null && ownEdge != null) {
+        best = Math.abs(Math.abs(ownEdge) - Math.abs(lat)) * KM_PER_DEG;
+      }
+
+      return best;
+    }
+
+    return {
+      observationTime: data.observationTime,
+      forecastTime: data.forecastTime,
+      sampleProbability,
+      distanceToEquatorwardEdgeKm
+    };
+  }
+
+  return {
+    EDGE_PROBABILITY,
+    fromFeed
+  };
+})();
+
+// -------- Scoring pipeline --------
+
+// Without OVATION the oval is a band in geomagnetic latitude: its equatorward
+// edge moves ~2° towards the equator per KP step (67° at KP 0) while the
+// poleward edge stays near 73°.
+const OVAL_POLEWARD_GEOMAG_LAT = 73;
+
+function ovalEdgeGeomagLatForKp(kp) {
+  const k = Math.min(9, Math.max(0, Number(kp) || 0));
+  return 67 - 2 * k;
+}
+
+// Ground distance from the site to the nearest edge of that band, 0 inside it.
+// The same distance drives the location score and the aurora elevation.
+function approxDistanceToOvalKm(geomagLat, kp) {
+  if (typeof geomagLat !== "number") return null;
+  // Mirror the oval into the site's magnetic hemisphere
+  const g = Math.abs(geomagLat);
+  const edge = ovalEdgeGeomagLatForKp(kp);
+  if (g < edge) return (edge - g) * 111;
+  return Math.max(0, g - OVAL_POLEWARD_GEOMAG_LAT) * 111;
+}
+
+// -------- Aurora elevation above the horizon --------
+const EARTH_RADIUS_KM = 6371;
+// Typical emission heights: the lower green edge and the top of red/purple rays
+const AURORA_BOTTOM_KM = 100;
+const AURORA_TOP_KM = 300;
+
+// Degrees above the horizon of a point `heightKm` up, `distanceKm` away along
+// the ground (spherical Earth, no refraction). Negative = below the horizon.
+function elevationOfHeightDeg(distanceKm, heightKm) {
+  const theta = distanceKm / EARTH_RADIUS_KM;
+  const r = EARTH_RADIUS_KM / (EARTH_RADIUS_KM + heightKm);
+  return toDeg(Math.atan2(Math.cos(theta) - r, Math.sin(theta)));
+}
+
+// How high the display appears: { distanceKm, top, bottom } in degrees
+function auroraElevation(distanceKm) {
+  if (typeof distanceKm !== "number" || !isFinite(distanceKm)) return null;
+  const d = Math.max(0, distanceKm);
+  return {
+    distanceKm: d,
+    top: elevationOfHeightDeg(d, AURORA_TOP_KM),
+    bottom: elevationOfHeightDeg(d, AURORA_BOTTOM_KM)
+  };
+}
+
+// Score multiplier from the top of the display: full above 10°, a low glow
+// loses up to 60% to haze and terrain, and below the horizon only a trace of
+// the brightest rays can remain.
+function horizonFactorForElevation(elevation) {
+  if (!elevation) return 1;
+  const top = elevation.top;
+  if (top >= 10) return 1;
+  if (top >= 0) return 0.4 + 0.06 * top;
+  return Math.max(0.05, 0.4 + 0.1 * top);
+}
+
+// Whole site-clock hours from dusk to dawn for the night containing (or
+// following) `now`, in the darkness info's timezone.
+function nightHourDates(darkness, now) {
+  const hourDates = [];
+  const tz = darkness.timeZone || null;
+
+  if (
+    darkness.hasAstronomicalNight &&
+    darkness.astroDusk != null &&
+    darkness.astroDawn != null
+  ) {
+    let duskDate = dateAtLocalHour(darkness.astroDusk, now, tz);
+    let dawnDate = dateAtLocalHour(darkness.astroDawn, duskDate, tz);
+    if (dawnDate <= duskDate) {
+      dawnDate = shiftLocalDays(dawnDate, 1, tz);
+    }
+
+    if (now > dawnDate) {
+      duskDate = shiftLocalDays(duskDate, 1, tz);
+      dawnDate = shiftLocalDays(dawnDate, 1, tz);
+    }
+
+    let startDate = startOfLocalHour(duskDate, tz);
+    if (startDate < duskDate) {
+      startDate = new Date(startDate.getTime() + 3600000);
+    }
+
+    let cursor = startDate;
+    let safety = 0;
+    while (cursor <= dawnDate && safety < 48) {
+      hourDates.push(new Date(cursor));
+      cursor = new Date(cursor.getTime() + 3600000);
+      safety++;
+    }
+  } else if (darkness.alwaysAstronomicalDark || darkness.alwaysNight) {
+    const startDate = startOfLocalHour(now, tz);
+    for (let i = 0; i < 12; i++) {
+      const d = new Date(startDate.getTime() + i * 3600000);
+      hourDates.push(d);
+    }
+  } else {
+    const startDate = startOfLocalHour(now, tz);
+    for (let i = 0; i < 8; i++) {
+      const d = new Date(startDate.getTime() + i * 3600000);
+      hourDates.push(d);
+    }
+  }
+
+  return hourDates;
+}
+
+// Moon events for the night that `darkness` describes: rise/set between the
+// surrounding local noons, plus the moon-free part of the dark window.
+function nightMoonSummary(darkness, now, lat, lon) {
+  const hours = nightHourDates(darkness, now);
+  if (!hours.length) return null;
+
+  const tz = darkness.timeZone || null;
+  let windowStart = dateAtLocalHour(12, hours[0], tz);
+  if (windowStart > hours[0]) {
+    windowStart = shiftLocalDays(windowStart, -1, tz);
+  }
+  const windowEnd = shiftLocalDays(windowStart, 1, tz);
+
+  const times = computeMoonTimes(windowStart, windowEnd, lat, lon);
+  if (!times) return null;
+
+  return {
+    ...times,
+    windowStart,
+    windowEnd,
+    moonFree: computeMoonFreeDarkWindow(windowStart, windowEnd, lat, lon)
+  };
+}
+
+// Final verdict thresholds on the darkness-adjusted score
+function verdictForScore(score, weights) {
+  const { yesThreshold, maybeThreshold } = normalizeWeights(weights);
+  if (score >= yesThreshold) return "yes";
+  if (score >= maybeThreshold) return "maybe";
+  return "no";
+}
+
+// One site at one moment through the full pipeline: brain, then moon penalty,
+// then horizon and darkness factors, then the verdict. Only lat/lon are required:
+//   scoreSite({ lat, lon, time, kp, cloudCover, lightPollution })
+// Optional: clouds (a layered cloud entry), timeZone, darkness (e.g. built from
+// live sunrise/sunset times), distanceToOvalKm, ovalProbability,
+// auroraDistanceKm (to the OVATION equatorward edge), geomagneticLatitude,
+// solarWind and weights (see DEFAULT_WEIGHTS). Without oval inputs the dipole
+// model is used.
+// Returns { score, verdict, factors, explanation, ... } where `explanation`
+// lists { factor, points, text } steps in the order they were applied.
+function scoreSite(inputs) {
+  const { lat, lon } = inputs || {};
+  if (typeof lat !== "number" || typeof lon !== "number" || !isFinite(lat) || !isFinite(lon)) {
+    throw new TypeError("scoreSite needs numeric lat and lon");
+  }
+
+  const time = inputs.time ? new Date(inputs.time) : new Date();
+  const darkness =
+    inputs.darkness || computeDarknessInfo(lat, lon, time, inputs.timeZone || null);
+  const localHour = localHourIn(time, darkness ? darkness.timeZone : inputs.timeZone || null);
+
+  let geomagneticLatitude = inputs.geomagneticLatitude;
+  if (typeof geomagneticLatitude !== "number") {
+    const geomag = Geomagnetic.geographicToGeomagnetic(lat, lon, time);
+    geomagneticLatitude = geomag ? geomag.lat : null;
+  }
+  const distanceToOvalKm =
+    typeof inputs.distanceToOvalKm === "number"
+      ? inputs.distanceToOvalKm
+      : approxDistanceToOvalKm(geomagneticLatitude, inputs.kp);
+  // How far away the aurora is: the OVATION edge when the caller has one,
+  // otherwise the same oval distance the location score uses
+  const auroraDistanceKm =
+    typeof inputs.auroraDistanceKm === "number" ? inputs.auroraDistanceKm : distanceToOvalKm;
+
+  const base = AuroraBrain.computeBrain({
+    kp: inputs.kp,
+    distanceToOvalKm,
+    ovalProbability: inputs.ovalProbability,
+    geomagneticLatitude,
+    lightPollution: typeof inputs.lightPollution === "number" ? inputs.lightPollution : 0.5,
+    cloudCover: inputs.cloudCover,
+    clouds: inputs.clouds,
+    timeLocalHour: localHour,
+    solarWind: inputs.solarWind,
+    weights: inputs.weights
+  });
+
+  const explanation = base.explanation.slice();
+  const explain = (factor, points, text) => explanation.push({ factor, points, text });
+
+  // Sun altitude at this exact moment drives day/dark flags and the darkness factor
+  const sunAlt = sunAltitude(time, lat, lon);
+
+  let isDayHour = false;
+  let isDarkHour = false;
+  if (typeof sunAlt === "number") {
+    isDayHour = sunAlt > -0.833;
+    isDarkHour = sunAlt <= -18;
+  } else if (darkness) {
+    if (darkness.hasDay && darkness.sunrise != null && darkness.sunset != null) {
+      isDayHour = isHourBetween(localHour, darkness.sunrise, darkness.sunset);
+    } else if (darkness.alwaysDaylight) {
+      isDayHour = true;
+    }
+
+    if (darkness.alwaysAstronomicalDark) {
+      isDarkHour = true;
+    } else if (
+      darkness.hasAstronomicalNight &&
+      darkness.astroDusk != null &&
+      darkness.astroDawn != null
+    ) {
+      isDarkHour = isHourBetween(localHour, darkness.astroDusk, darkness.astroDawn);
+    }
+  }
+
+  const darknessNow = darkness
+    ? { ...darkness, isDaylightNow: isDayHour, isDarkNow: isDarkHour }
+    : null;
+
+  const moon = computeMoonInfo(time, lat, lon);
+  const moonPenalty = computeMoonPenalty(moon, darknessNow, inputs.weights);
+
+  let scoreAfterMoon = base.score;
+  if (moonPenalty > 0) {
+    scoreAfterMoon = Math.max(0, scoreAfterMoon - moonPenalty);
+    const moonPct = Math.round((moon.illumination || 0) * 100);
+    explain(
+      "moon",
+      -moonPenalty,
+      `Moon brightness reduces the score by ${moonPenalty.toFixed(
+        1
+      )} points (illumination ~${moonPct}%, ${Math.round(moon.altitude)}° above the horizon).`
+    );
+    explain("moon", null, `Score after moon adjustment: ${scoreAfterMoon.toFixed(0)} / 100.`);
+  } else if (moon && moon.isUp === false) {
+    explain("moon", 0, "Moon is below the horizon for your location at this time.");
+  } else {
+    explain("moon", 0, "Moon has negligible effect on the score in this simple v1 model.");
+  }
+
+  const elevation = auroraElevation(auroraDistanceKm);
+  const horizonFactor = horizonFactorForElevation(elevation);
+  const scoreAfterHorizon = scoreAfterMoon * horizonFactor;
+  if (elevation) {
+    const top = Math.round(elevation.top);
+    const where =
+      elevation.distanceKm < 10
+        ? "The aurora can be overhead here"
+        : top < 0
+        ? `The top of the aurora sits about ${-top}° below the horizon (${Math.round(
+            elevation.distanceKm
+          )} km away)`
+        : `The top of the aurora reaches about ${top}° above the horizon (${Math.round(
+            elevation.distanceKm
+          )} km away)`;
+    explain(
+      "horizon",
+      scoreAfterHorizon - scoreAfterMoon,
+      horizonFactor < 1
+        ? `${where}, so the score is scaled to ${Math.round(horizonFactor * 100)}%.`
+        : `${where}; no horizon penalty.`
+    );
+  }
+
+  const df = computeDarknessFactorAndNote(darknessNow, sunAlt);
+  const darknessFactor = df.factor;
+  const score = Math.max(0, Math.min(100, scoreAfterHorizon * darknessFactor));
+
+  explain("darkness", score - scoreAfterHorizon, df.note);
+  explain(
+    "darkness",
+    null,
+    darknessFactor !== 1
+      ? `Score after darkness adjustment: ${score.toFixed(0)} / 100.`
+      : `Score unchanged by darkness (factor 1.00): ${score.toFixed(0)} / 100.`
+  );
+
+  // An overcast sky hides any display, whatever the thresholds are set to
+  const verdict = base.overcast ? "no" : verdictForScore(score, inputs.weights);
+  explain(
+    "verdict",
+    null,
+    base.overcast
+      ? "Final visibility verdict: NO – the sky is overcast."
+      : `Final visibility verdict after darkness adjustment: ${verdict.toUpperCase()}.`
+  );
+
+  return {
+    score,
+    verdict,
+    // Points each input added (+) or removed (−); darkness is a multiplier
+    factors: {
+      kp: base.kpScore,
+      solarWind: base.solarWindScore,
+      location: base.locationScore,
+      lightPollution: -base.lightPollutionPenalty,
+      clouds: -base.cloudPenalty,
+      timeOfNight: base.timeOfNightAdjustment,
+      moon: -moonPenalty,
+      horizonFactor,
+      darknessFactor
+    },
+    explanation,
+    debug: explanation.map((step) => step.text),
+    baseScore: base.score,
+    localHour,
+    isDayHour,
+    isDarkHour,
+    sunAltitude: sunAlt,
+    moon,
+    moonPenalty,
+    auroraElevation: elevation,
+    horizonFactor,
+    darknessFactor,
+    darkness: darknessNow,
+    geomagneticLatitude,
+    distanceToOvalKm
+  };
+}
+
+// One hour of a night: the site pipeline with that night's darkness info.
+// `inputs` carries the site (lat/lon) plus the scoreSite inputs.
+function scoreHour(hourDate, darkness, inputs) {
+  return scoreSite({ ...inputs, time: hourDate, darkness });
+}
+
+// KP for the NOAA 3-hour block covering `date` in a normalized `kpForecast`
+// feed, or null outside the forecast.
+function kpForecastAt(forecast, date) {
+  const t = date.getTime();
+  const block = (forecast || []).find(
+    (b) => t >= b.start.getTime() && t < b.start.getTime() + 3 * 3600000
+  );
+  return block ? block.kp : null;
+}
+
+// -------- Inputs for one hour --------
+// OVATION is a 30–90 minute nowcast. Turning the Earth under it stretches
+// that a little; past this the KP-based oval is the better guess.
+const OVATION_HORIZON_HOURS = 3;
+// Solar wind at L1 only tells us about the next couple of hours
+const SOLAR_WIND_HORIZON_HOURS = 3;
+
+// The scoreHour() inputs for `hourDate` at a site, picked the same way for the
+// page's verdict, chart, planner and comparison and the service worker's alerts.
+//   context: { lat, lon, now, kp, lightPollution, geomagneticLatitude?, weights?,
+//              solarWind?, ovation? (an OvationGrid), hourlyClouds?,
+//              currentCloud? (0..1), fallbackCloudCover? (0..1) }
+// `now` is the clock: solar wind and OVATION only count near it, and the
+// current cover stands for the hour under way. Layers come from the nearest
+// forecast hour. With no cloud data for the hour and no fallback, cloudCover
+// is null. Adds ovalSource ("ovation" | "model") and cloudSource
+// ("current" | "forecast" | "fallback" | null) for the caller.
+function hourInputs(hourDate, context) {
+  const { lat, lon, now, kp, currentCloud, fallbackCloudCover } = context;
+  const hoursAhead = (hourDate.getTime() - now.getTime()) / 3600000;
+
+  let geomagneticLatitude = context.geomagneticLatitude;
+  if (typeof geomagneticLatitude !== "number") {
+    const geomag = Geomagnetic.geographicToGeomagnetic(lat, lon, hourDate);
+    geomagneticLatitude = geomag ? geomag.lat : null;
+  }
+
+  // Hours past the OVATION nowcast fall back to the KP-based oval
+  const ovalKm =
+    context.ovation && Math.abs(hoursAhead) <= OVATION_HORIZON_HOURS
+      ? context.ovation.distanceToEquatorwardEdgeKm(lat, lon, hoursAhead)
+      : null;
+
+  const nearest = cloudEntryForTime(hourDate, context.hourlyClouds);
+  const hasCurrent = typeof currentCloud === "number";
+  let cloudCover = null;
+  let cloudSource = null;
+  if (hasCurrent && Math.abs(hoursAhead) < 0.5) {
+    cloudCover = currentCloud;
+    cloudSource = "current";
+  } else if (nearest) {
+    cloudCover = nearest.cover;
+    cloudSource = "forecast";
+  } else if (hasCurrent) {
+    cloudCover = currentCloud;
+    cloudSource = "current";
+  } else if (typeof fallbackCloudCover === "number") {
+    cloudCover = fallbackCloudCover;
+    cloudSource = "fallback";
+  }
+
+  return {
+    lat,
+    lon,
+    time: hourDate,
+    kp,
+    distanceToOvalKm:
+      ovalKm != null ? ovalKm : approxDistanceToOvalKm(geomagneticLatitude, kp),
+    ovalProbability:
+      ovalKm != null ? context.ovation.sampleProbability(lat, lon, hoursAhead) : null,
+    geomagneticLatitude,
+    lightPollution: context.lightPollution,
+    cloudCover,
+    clouds: nearest ? { ...nearest, cover: cloudCover } : null,
+    solarWind:
+      Math.abs(hoursAhead) <= SOLAR_WIND_HORIZON_HOURS ? context.solarWind || null : null,
+    weights: context.weights,
+    ovalSource: ovalKm != null ? "ovation" : "model",
+    cloudSource
+  };
+}
+
+// -------- Calibration against logged sightings --------
+// Records are { score, saw, inputs } where `inputs` is what scoreSite was given.
+
+// Hit rate per score bucket, using the score the app showed at the time
+function hitRateByBucket(records, bucketSize = 20) {
+  const buckets = [];
+  for (let min = 0; min < 100; min += bucketSize) {
+    buckets.push({ min, max: Math.min(100, min + bucketSize), total: 0, seen: 0, hitRate: null });
+  }
+
+  (records || []).forEach((r) => {
+    if (typeof r.score !== "number" || !isFinite(r.score)) return;
+    const i = Math.min(buckets.length - 1, Math.max(0, Math.floor(r.score / bucketSize)));
+    buckets[i].total++;
+    if (r.saw) buckets[i].seen++;
+  });
+
+  buckets.forEach((b) => {
+    b.hitRate = b.total ? b.seen / b.total : null;
+  });
+  return buckets;
+}
+
+const MIN_CALIBRATION_RECORDS = 10;
+
+// Suggested weights: every record is re-scored from its stored inputs, and
+// each point weight is scaled in turn to minimise the Brier score (score / 100
+// read as the chance of a sighting). The yes/maybe thresholds then go to the
+// lowest scores whose re-scored hit rate reaches 50% and 20%.
+// Returns null until there are enough records with both outcomes.
+function suggestWeights(records, weights) {
+  const usable = (records || []).filter(
+    (r) => r && r.inputs && typeof r.inputs.lat === "number" && typeof r.saw === "boolean"
+  );
+  const seen = usable.filter((r) => r.saw).length;
+  if (usable.length < MIN_CALIBRATION_RECORDS || seen === 0 || seen === usable.length) {
+    return null;
+  }
+
+  const rescore = (w) =>
+    usable.map((r) => ({ score: scoreSite({ ...r.inputs, weights: w }).score, saw: r.saw }));
+  const brier = (scored) =>
+    scored.reduce((sum, r) => sum + (r.score / 100 - (r.saw ? 1 : 0)) ** 2, 0) / scored.length;
+
+  const start = normalizeWeights(weights);
+  let best = { ...start };
+  let bestBrier = brier(rescore(best));
+  const brierBefore = bestBrier;
+
+  const keys = ["kpPoints", "locationPoints", "cloudPoints", "moonPoints", "ovalFalloffKm"];
+  const scales = [0.5, 0.75, 1.25, 1.5];
+  for (let pass = 0; pass < 2; pass++) {
+    keys.forEach((key) => {
+      scales.forEach((scale) => {
+        const candidate = normalizeWeights({ ...best, [key]: Math.round(best[key] * scale) });
+        const b = brier(rescore(candidate));
+        if (b < bestBrier - 1e-6) {
+          best = candidate;
+          bestBrier = b;
+        }
+      });
+    });
+  }
+
+  // Lowest threshold (in steps of 5) whose hit rate at or above it reaches `rate`
+  const scored = rescore(best);
+  const thresholdFor = (rate, fallback) => {
+    for (let t = 5; t <= 95; t += 5) {
+      const above = scored.filter((r) => r.score >= t);
+      if (above.length >= 3 && above.filter((r) => r.saw).length / above.length >= rate) {
+        return t;
+      }
+    }
+    return fallback;
+  };
+
+  const yesThreshold = thresholdFor(0.5, best.yesThreshold);
+  const maybeThreshold = Math.min(yesThreshold, thresholdFor(0.2, best.maybeThreshold));
+
+  return {
+    weights: normalizeWeights({ ...best, yesThreshold, maybeThreshold }),
+    count: usable.length,
+    seen,
+    brierBefore,
+    brierAfter: bestBrier
+  };
+}
+
+export {
+  LightPollution,
+  Geomagnetic,
+  DEFAULT_WEIGHTS,
+  normalizeWeights,
+  AuroraBrain,
+  // Site time zone
+  isValidTimeZone,
+  zonedParts,
+  zoneOffsetHours,
+  localHourIn,
+  dateFromLocalParts,
+  dateAtLocalHour,
+  isSameLocalDay,
+  shiftLocalDays,
+  startOfLocalHour,
+  isoToLocalHour,
+  isHourBetween,
+  formatHourLocal,
+  // Sun and darkness
+  solarPosition,
+  sunAltitude,
+  twilightPhase,
+  computeDarknessInfo,
+  buildDarknessFromLiveTimes,
+  darknessFactorForSunAltitude,
+  computeDarknessFactorAndNote,
+  // Moon
+  computeMoonAltitude,
+  computeMoonTimes,
+  computeMoonFreeDarkWindow,
+  computeMoonInfo,
+  computeMoonPenalty,
+  // Clouds
+  cloudEntryForTime,
+  // Pipeline
+  OvationGrid,
+  OVATION_HORIZON_HOURS,
+  kpForecastAt,
+  hourInputs,
+  approxDistanceToOvalKm,
+  ovalEdgeGeomagLatForKp,
+  auroraElevation,
+  horizonFactorForElevation,
+  nightHourDates,
+  nightMoonSummary,
+  scoreHour,
+  scoreSite,
+  verdictForScore,
+  // Calibration
+  hitRateByBucket,
+  suggestWeights
+};
@@ -0,0 +1,616 @@
+// A2KDA Aurora - data providers (plain ES module, no DOM)
+// Every external JSON feed goes through a small registry: each data type has
+// an ordered list of providers, tried in turn until one answers. Providers turn
+// their raw responses into one normalized shape per type, so callers never
+// see which service answered.
+// Shared by the page (app.js) and the service worker:
+//   import { fetchFeed } from "./data-providers.mjs";
+//   const { data, provider } = await fetchFeed("kp");
+
+import { isValidTimeZone } from "./aurora-scoring.mjs";
+
+// A provider is { id, name, url(params), adapt(json, params) }. `adapt` throws
+// on an unexpected shape, which counts as a failure and moves on to the next.
+// An optional `init(params)` returns extra fetch() options; its headers are
+// merged with the default Accept header.
+// A feed made of several documents returns { key: url } from `url` and gets
+// { key: json } in `adapt`.
+//
+// Normalized shapes by type:
+//   kp          { kp, time: Date, history: [{ time: Date, kp }] }
+//   kpForecast  [{ start: Date, kp, kind: 'observed' | 'estimated' | 'predicted' }]
+//   solarWind   { bz, bzMean, southwardShare: 0..1, bt, speed, density, timeTag }
+//   ovation     { observationTime, forecastTime, points: [[lon, lat, probability]] }
+//   weather     { cloud: 0..1 | null, hourly: [cloud entry], timeZone: IANA | null }
+//   sunTimes    sunrise-sunset.org `results` (UTC ISO instants, null when the
+//               event doesn't happen that day)
+//   ipLocation  { lat, lon, city, country }
+//   geocoding   { lat, lon, name, label, category, type, importance } | null
+
+const HOUR_MS = 3600000;
+
+function num(v) {
+  const n = typeof v === "string" ? Number.parseFloat(v) : v;
+  return typeof n === "number" && Number.isFinite(n) ? n : null;
+}
+
+function clamp01(v) {
+  return Math.min(1, Math.max(0, v));
+}
+
+// -------- KP --------
+
+function parseNoaaKpRow(row) {
+  if (!Array.isArray(row)) return null;
+  const kpFractionStr = row[2]; // Kp_fraction
+  const kpStr = row[1];         // Kp integer
+
+  let kp = Number.parseFloat(kpFractionStr);
+  if (!Number.isFinite(kp)) {
+    kp = Number.parseFloat(kpStr);
+  }
+  return Number.isFinite(kp) ? kp : null;
+}
+
+// "YYYY-MM-DD HH:mm:ss.sss" in UTC
+function parseNoaaTime(tag) {
+  const d = new Date(String(tag).replace(" ", "T") + "Z");
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Latest value plus the series, oldest first
+function kpFromSeries(history, source) {
+  if (!history.length) {
+    throw new Error(`${source} KP values not parseable`);
+  }
+  const latest = history[history.length - 1];
+  return { kp: latest.kp, time: latest.time, history };
+}
+
+const noaaKp = {
+  id: "noaa-swpc",
+  name: "NOAA SWPC",
+  url: () => "https://services.swpc.noaa.gov/products/noaa-planetary-k-index.json",
+  adapt(data) {
+    // Header row, then [time_tag, Kp, Kp_fraction, a_running, station_count]
+    if (!Array.isArray(data) || data.length < 2) {
+      throw new Error("Unexpected NOAA KP data shape");
+    }
+    const history = data
+      .slice(1)
+      .map((row) => {
+        const kp = parseNoaaKpRow(row);
+        const time = parseNoaaTime(row[0]);
+        return kp == null || !time ? null : { time, kp };
+      })
+      .filter(Boolean);
+    return kpFromSeries(history, "NOAA");
+  }
+};
+
+// GFZ Potsdam publishes the definitive Kp and a nowcast for the last days
+const gfzKp = {
+  id: "gfz-potsdam",
+  name: "GFZ Potsdam",
+  url(params) {
+    // End on the next 3-hour Kp boundary so repeat requests share one URL
+    // (and one data cache entry) until a new block starts
+    const now = params.now ? new Date(params.now).getTime() : Date.now();
+    const end = new Date(Math.ceil(now / (3 * HOUR_MS)) * 3 * HOUR_MS);
+    const start = new Date(end.getTime() - 72 * HOUR_MS);
+    const iso = (d) => d.toISOString().slice(0, 19) + "Z";
+    return `https://kp.gfz-potsdam.de/app/json/?start=${iso(start)}&end=${iso(end)}&index=Kp`;
+  },
+  adapt(data) {
+    // { datetime: [ISO, ...], Kp: [number, ...], status: ["def" | "now", ...] }
+    if (!data || !Array.isArray(data.datetime) || !Array.isArray(data.Kp)) {
+      throw new Error("Unexpected GFZ KP data shape");
+    }
+    const history = data.datetime
+      .map((t, i) => {
+        const time = new Date(t);
+        const kp = num(data.Kp[i]);
+        return kp == null || Number.isNaN(time.getTime()) ? null : { time, kp };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.time - b.time);
+    return kpFromSeries(history, "GFZ");
+  }
+};
+
+// NOAA's 3-day outlook: header row then 3-hourly blocks tagged
+// "observed", "estimated" or "predicted".
+const noaaKpForecast = {
+  id: "noaa-swpc",
+  name: "NOAA SWPC",
+  url: () => "https://services.swpc.noaa.gov/products/noaa-planetary-k-index-forecast.json",
+  adapt(data) {
+    if (!Array.isArray(data) || data.length < 2) {
+      throw new Error("Unexpected NOAA KP forecast data shape");
+    }
+    return data
+      .slice(1)
+      .map((row) => {
+        const start = parseNoaaTime(row[0]);
+        const kp = num(row[1]);
+        if (!start || kp == null) return null;
+        return { start, kp, kind: row[2] || "predicted" };
+      })
+      .filter(Boolean);
+  }
+};
+
+// -------- Solar wind --------
+
+// NOAA solar-wind products are header + rows of strings. The 5-minute files
+// only hold the latest sample, so we read the 2-hour series (same columns)
+// to tell a sustained southward Bz from a brief dip.
+function parseNoaaTable(data) {
+  if (!Array.isArray(data) || data.length < 2 || !Array.isArray(data[0])) {
+    throw new Error("Unexpected NOAA solar wind data shape");
+  }
+
+  const header = data[0];
+  return data.slice(1).map((row) => {
+    const record = {};
+    header.forEach((key, i) => {
+      record[key] = row[i];
+    });
+    return record;
+  });
+}
+
+function latestNumeric(records, key) {
+  for (let i = records.length - 1; i >= 0; i--) {
+    const v = Number.parseFloat(records[i][key]);
+    if (Number.isFinite(v)) return { value: v, timeTag: records[i].time_tag };
+  }
+  return null;
+}
+
+const noaaSolarWind = {
+  id: "noaa-swpc",
+  name: "NOAA SWPC",
+  url: () => ({
+    mag: "https://services.swpc.noaa.gov/products/solar-wind/mag-2-hour.json",
+    plasma: "https://services.swpc.noaa.gov/products/solar-wind/plasma-2-hour.json"
+  }),
+  init: () => ({ cache: "no-cache" }),
+  adapt(data) {
+    const mag = parseNoaaTable(data.mag);
+    const plasma = parseNoaaTable(data.plasma);
+
+    const latestBz = latestNumeric(mag, "bz_gsm");
+    if (!latestBz) {
+      throw new Error("NOAA Bz values not parseable");
+    }
+
+    // Average Bz over the 30 minutes before the latest sample
+    const latestMs = parseNoaaTime(latestBz.timeTag).getTime();
+    const windowStart = latestMs - 30 * 60 * 1000;
+    const recentBz = mag
+      .filter((r) => {
+        const t = parseNoaaTime(r.time_tag);
+        return t && t.getTime() >= windowStart && t.getTime() <= latestMs;
+      })
+      .map((r) => Number.parseFloat(r.bz_gsm))
+      .filter((v) => Number.isFinite(v));
+
+    const bzMean = recentBz.length
+      ? recentBz.reduce((sum, v) => sum + v, 0) / recentBz.length
+      : latestBz.value;
+    const southwardShare = recentBz.length
+      ? recentBz.filter((v) => v < 0).length / recentBz.length
+      : latestBz.value < 0
+      ? 1
+      : 0;
+
+    const bt = latestNumeric(mag, "bt");
+    const speed = latestNumeric(plasma, "speed");
+    const density = latestNumeric(plasma, "density");
+
+    return {
+      bz: latestBz.value,
+      bzMean,
+      southwardShare,
+      bt: bt ? bt.value : null,
+      speed: speed ? speed.value : null,
+      density: density ? density.value : null,
+      timeTag: latestBz.timeTag
+    };
+  }
+};
+
+// -------- OVATION oval --------
+
+const noaaOvation = {
+  id: "noaa-swpc",
+  name: "NOAA SWPC",
+  url: () => "https://services.swpc.noaa.gov/json/ovation_aurora_latest.json",
+  adapt(data) {
+    if (!data || !Array.isArray(data.coordinates) || !data.coordinates.length) {
+      throw new Error("OVATION grid JSON missing 'coordinates' array");
+    }
+    return {
+      observationTime: data["Observation Time"] || null,
+      forecastTime: data["Forecast Time"] || null,
+      points: data.coordinates.filter((entry) => Array.isArray(entry) && entry.length >= 3)
+    };
+  }
+};
+
+// -------- Weather (clouds) --------
+
+// Hourly query for Open-Meteo
+const OPEN_METEO_HOURLY_CLOUDS =
+  "cloud_cover,cloud_cover_low,cloud_cover_mid,cloud_cover_high,visibility,precipitation_probability";
+
+// Open-Meteo hourly clouds → [{ time: Date, cover, low, mid, high: 0..1,
+// visibility: metres, precipitationProbability: 0..1 }]; missing layers are null
+function parseHourlyCloudCover(data) {
+  const hourly = [];
+  if (
+    data &&
+    data.hourly &&
+    Array.isArray(data.hourly.time) &&
+    Array.isArray(data.hourly.cloud_cover)
+  ) {
+    const h = data.hourly;
+    const at = (key, i) => {
+      const v = Array.isArray(h[key]) ? h[key][i] : null;
+      return typeof v === "number" && !Number.isNaN(v) ? v : null;
+    };
+    const pct = (key, i) => {
+      const v = at(key, i);
+      return v == null ? null : clamp01(v / 100);
+    };
+
+    const len = Math.min(h.time.length, h.cloud_cover.length);
+    for (let i = 0; i < len; i++) {
+      const t = h.time[i];
+      const cover = pct("cloud_cover", i);
+      if (cover == null) continue;
+      // Unix seconds are unambiguous; ISO strings from timezone=auto are site-local
+      const parsed = typeof t === "number" ? new Date(t * 1000) : new Date(t);
+      if (Number.isNaN(parsed.getTime())) continue;
+      hourly.push({
+        time: parsed,
+        cover,
+        low: pct("cloud_cover_low", i),
+        mid: pct("cloud_cover_mid", i),
+        high: pct("cloud_cover_high", i),
+        visibility: at("visibility", i),
+        precipitationProbability: pct("precipitation_probability", i)
+      });
+    }
+  }
+  return hourly;
+}
+
+const openMeteoWeather = {
+  id: "open-meteo",
+  name: "Open-Meteo",
+  url: ({ lat, lon, forecastDays = 4 }) =>
+    "https://api.open-meteo.com/v1/forecast?hourly=" +
+    OPEN_METEO_HOURLY_CLOUDS +
+    `&current_weather=true&forecast_days=${forecastDays}&timezone=auto&timeformat=unixtime&latitude=` +
+    encodeURIComponent(lat) +
+    "&longitude=" +
+    encodeURIComponent(lon),
+  adapt(data) {
+    const hourly = parseHourlyCloudCover(data);
+    let cloud = null;
+    if (data && data.current_weather && typeof data.current_weather.cloudcover === "number") {
+      cloud = clamp01(data.current_weather.cloudcover / 100);
+    }
+    if (cloud == null && hourly.length) cloud = hourly[0].cover;
+    if (cloud == null) {
+      throw new Error("Open-Meteo response has no cloud cover");
+    }
+    return {
+      cloud,
+      hourly,
+      timeZone: data && isValidTimeZone(data.timezone) ? data.timezone : null
+    };
+  }
+};
+
+// MET Norway's forecast has the same three cloud layers but no visibility or
+// time zone; the first entry is the current hour.
+const metNorwayWeather = {
+  id: "met-norway",
+  name: "MET Norway",
+  url: ({ lat, lon }) =>
+    "https://api.met.no/weatherapi/locationforecast/2.0/complete?lat=" +
+    encodeURIComponent(Number(lat).toFixed(4)) +
+    "&lon=" +
+    encodeURIComponent(Number(lon).toFixed(4)),
+  adapt(data) {
+    const series = data && data.properties && data.properties.timeseries;
+    if (!Array.isArray(series) || !series.length) {
+      throw new Error("Unexpected MET Norway data shape");
+    }
+    const pct = (v) => (num(v) == null ? null : clamp01(num(v) / 100));
+    const hourly = series
+      .map((entry) => {
+        const time = new Date(entry.time);
+        const details = (entry.data && entry.data.instant && entry.data.instant.details) || {};
+        const next = entry.data && entry.data.next_1_hours && entry.data.next_1_hours.details;
+        const cover = pct(details.cloud_area_fraction);
+        if (cover == null || Number.isNaN(time.getTime())) return null;
+        return {
+          time,
+          cover,
+          low: pct(details.cloud_area_fraction_low),
+          mid: pct(details.cloud_area_fraction_medium),
+          high: pct(details.cloud_area_fraction_high),
+          visibility: null,
+          precipitationProbability: next ? pct(next.probability_of_precipitation) : null
+        };
+      })
+      .filter(Boolean);
+    if (!hourly.length) {
+      throw new Error("MET Norway response has no cloud cover");
+    }
+    return { cloud: hourly[0].cover, hourly, timeZone: null };
+  }
+};
+
+// -------- Sunrise and sunset --------
+
+const sunriseSunset = {
+  id: "sunrise-sunset",
+  name: "sunrise-sunset.org",
+  url: ({ lat, lon }) =>
+    "https://api.sunrise-sunset.org/json?formatted=0&lat=" +
+    encodeURIComponent(lat) +
+    "&lng=" +
+    encodeURIComponent(lon),
+  adapt(data) {
+    if (!data || data.status !== "OK" || !data.results) {
+      throw new Error("Unexpected sunrise-sunset response");
+    }
+    // Events that don't happen (midnight sun, polar night) come back as the epoch
+    const results = {};
+    Object.entries(data.results).forEach(([key, value]) => {
+      results[key] = typeof value === "string" && value.startsWith("1970-01-01") ? null : value;
+    });
+    return results;
+  }
+};
+
+// -------- IP location --------
+
+function ipLocation(lat, lon, city, country, source) {
+  if (num(lat) == null || num(lon) == null) {
+    throw new Error(`${source} response has no coordinates`);
+  }
+  return { lat: num(lat), lon: num(lon), city: city || null, country: country || null };
+}
+
+const ipapi = {
+  id: "ipapi",
+  name: "ipapi.co",
+  url: () => "https://ipapi.co/json/",
+  adapt(data) {
+    if (!data || data.error) {
+      throw new Error((data && data.reason) || "ipapi.co lookup failed");
+    }
+    return ipLocation(
+      data.latitude ?? data.lat,
+      data.longitude ?? data.lon,
+      data.city,
+      data.country_name || data.country,
+      "ipapi.co"
+    );
+  }
+};
+
+const ipwhois = {
+  id: "ipwhois",
+  name: "ipwho.is",
+  url: () => "https://ipwho.is/",
+  adapt(data) {
+    if (!data || data.success === false) {
+      throw new Error((data && data.message) || "ipwho.is lookup failed");
+    }
+    return ipLocation(data.latitude, data.longitude, data.city, data.country, "ipwho.is");
+  }
+};
+
+// -------- Place search --------
+
+const nominatim = {
+  id: "nominatim",
+  name: "Nominatim (OpenStreetMap)",
+  url: ({ query }) =>
+    "https://nominatim.openstreetmap.org/search?format=jsonv2&limit=1&q=" +
+    encodeURIComponent(query),
+  init: () => ({ headers: { "Accept-Language": "en" } }),
+  adapt(data) {
+    if (!Array.isArray(data)) {
+      throw new Error("Unexpected Nominatim response");
+    }
+    if (!data.length) return null;
+    const r = data[0];
+    return {
+      lat: num(r.lat),
+      lon: num(r.lon),
+      name: String(r.display_name || r.name || "").split(",")[0],
+      label: r.display_name || r.name || "",
+      category: r.category || r.class || "",
+      type: r.type || "",
+      importance: num(r.importance) || 0
+    };
+  }
+};
+
+// GeoNames feature codes mapped onto the OSM categories the page understands
+function openMeteoPlaceType(r) {
+  const code = r.feature_code || "";
+  if (code.startsWith("PPL")) {
+    const pop = num(r.population) || 0;
+    return {
+      category: "place",
+      type: code === "PPLC" || pop >= 100000 ? "city" : pop >= 10000 ? "town" : "village"
+    };
+  }
+  if (code === "PRK" || code === "RESN" || code === "RESF") {
+    return { category: "boundary", type: "national_park" };
+  }
+  if (code === "MT" || code === "PK") return { category: "natural", type: "peak" };
+  if (code === "FRST") return { category: "natural", type: "forest" };
+  if (code === "DSRT") return { category: "natural", type: "desert" };
+  return { category: "", type: "" };
+}
+
+const openMeteoGeocoding = {
+  id: "open-meteo-geocoding",
+  name: "Open-Meteo geocoding",
+  url: ({ query }) =>
+    "https://geocoding-api.open-meteo.com/v1/search?count=1&language=en&format=json&name=" +
+    encodeURIComponent(query),
+  adapt(data) {
+    if (!data || typeof data !== "object") {
+      throw new Error("Unexpected Open-Meteo geocoding response");
+    }
+    if (!Array.isArray(data.results) || !data.results.length) return null;
+    const r = data.results[0];
+    const pop = num(r.population) || 0;
+    return {
+      lat: num(r.latitude),
+      lon: num(r.longitude),
+      name: r.name,
+      label: [r.name, r.admin1, r.country].filter(Boolean).join(", "),
+      ...openMeteoPlaceType(r),
+      importance: pop >= 1000000 ? 0.8 : 0.5
+    };
+  }
+};
+
+// -------- Registry --------
+
+const registry = {
+  kp: [noaaKp, gfzKp],
+  kpForecast: [noaaKpForecast],
+  solarWind: [noaaSolarWind],
+  ovation: [noaaOvation],
+  weather: [openMeteoWeather, metNorwayWeather],
+  sunTimes: [sunriseSunset],
+  ipLocation: [ipapi, ipwhois],
+  geocoding: [nominatim, openMeteoGeocoding]
+};
+
+function listProviders(type) {
+  return (registry[type] || []).map(({ id, name }) => ({ id, name }));
+}
+
+// The full provider with its adapter, e.g. to check it against a fixture
+function getProvider(type, id) {
+  return (registry[type] || []).find((p) => p.id === id) || null;
+}
+
+// Add a provider for a type, by default as the last fallback
+function registerProvider(type, provider, index) {
+  if (!provider || typeof provider.url !== "function" || typeof provider.adapt !== "function") {
+    throw new TypeError("A provider needs url() and adapt() functions");
+  }
+  const list = registry[type] || (registry[type] = []);
+  const at = typeof index === "number" ? Math.max(0, Math.min(list.length, index)) : list.length;
+  list.splice(at, 0, provider);
+}
+
+async function fetchJson(provider, url, params) {
+  const init = provider.init ? provider.init(params) : {};
+  // A provider's headers add to the Accept header rather than replace it
+  const res = await fetch(url, {
+    ...init,
+    headers: { Accept: "application/json", ...init.headers }
+  });
+  if (!res.ok) {
+    throw new Error(`${provider.name} failed with status ${res.status}`);
+  }
+  return res.json();
+}
+
+// One provider end to end: fetch, check the status, parse and adapt
+async function fetchFromProvider(provider, params) {
+  const url = provider.url(params);
+  if (typeof url === "string") {
+    return provider.adapt(await fetchJson(provider, url, params), params);
+  }
+
+  const keys = Object.keys(url);
+  const docs = await Promise.all(keys.map((key) => fetchJson(provider, url[key], params)));
+  const data = {};
+  keys.forEach((key, i) => {
+    data[key] = docs[i];
+  });
+  return provider.adapt(data, params);
+}
+
+// -------- Fixtures --------
+// Demo mode answers every type from bundled responses instead of the network.
+// Responses are keyed by type, in the format of that type's first provider.
+let fixtureResponses = null;
+
+function useFixtures(responses) {
+  fixtureResponses = responses || null;
+}
+
+function fetchFromFixture(type, provider, params) {
+  if (!(type in fixtureResponses)) {
+    throw new Error(`No ${type} fixture loaded`);
+  }
+  // A copy, so adapters never share state with the bundled response
+  const response = JSON.parse(JSON.stringify(fixtureResponses[type]));
+  return {
+    data: provider.adapt(response, params),
+    provider: { id: provider.id, name: provider.name, fixture: true },
+    failures: []
+  };
+}
+
+// Providers for `type` in order until one answers. Resolves to
+// { data, provider: { id, name }, failures: [{ provider, error }] }; when every
+// provider fails the error lists them all and carries `failures`. With
+// fixtures loaded the first provider adapts the fixture and `provider.fixture`
+// is true.
+async function fetchFeed(type, params = {}) {
+  const providers = registry[type];
+  if (!providers || !providers.length) {
+    throw new Error(`No providers registered for ${type}`);
+  }
+
+  if (fixtureResponses) {
+    return fetchFromFixture(type, providers[0], params);
+  }
+
+  const failures = [];
+  for (const provider of providers) {
+    try {
+      const data = await fetchFromProvider(provider, params);
+      return { data, provider: { id: provider.id, name: provider.name }, failures };
+    } catch (err) {
+      console.warn(`${type}: ${provider.name} failed`, err);
+      failures.push({ provider: { id: provider.id, name: provider.name }, error: err });
+    }
+  }
+
+  // Each provider's own error already names it
+  const error = new Error(failures.map((f) => f.error.message || String(f.error)).join("; "));
+  error.failures = failures;
+  throw error;
+}
+
+export {
+  fetchFeed,
+  listProviders,
+  getProvider,
+  registerProvider,
+  useFixtures,
+  // Adapters and helpers shared with fixtures and scripts
+  parseNoaaKpRow,
+  parseHourlyCloudCover,
+  OPEN_METEO_HOURLY_CLOUDS
+};
@@ -0,0 +1,172 @@
+// A2KDA Aurora - service worker offline caching (classic script)
+// The app shell and the API data cache, shared by both workers: the module
+// worker (service-worker.js) imports it for its side effects, and the classic
+// fallback (service-worker-classic.js) loads it with importScripts(). It has
+// no import/export, so it runs either way, and shares only through `self`.
+
+const CACHE_NAME = "aurora-now-v5";
+const ALERT_CACHE_NAME = "aurora-alerts-v1";
+const DATA_CACHE_NAME = "aurora-data-v1";
+
+const ASSETS = [
+  "./",
+  "./index.html",
+  "./styles.css",
+  "./app.js",
+  "./aurora-scoring.mjs",
+  "./data-providers.mjs",
+  "./pagelogo.png",
+  "./favicon.ico",
+  "./manifest.webmanifest"
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(ASSETS))
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys().then((keys) =>
+      Promise.all(
+        keys
+          .filter(
+            (key) => key !== CACHE_NAME && key !== ALERT_CACHE_NAME && key !== DATA_CACHE_NAME
+          )
+          .map((key) => caches.delete(key))
+      )
+    )
+  );
+  self.clients.claim();
+});
+
+// -------- Data feeds --------
+// Third-party API responses live in their own cache, stamped with the time they
+// were fetched. Each feed has a time-to-live after which a copy is no longer
+// served, and the cache keeps at most DATA_CACHE_MAX_ENTRIES responses.
+const DATA_CACHE_MAX_ENTRIES = 40;
+const CACHED_AT_HEADER = "X-Aurora-Cached-At";
+
+const HOUR_MS = 3600000;
+const DATA_FEEDS = [
+  { feed: "kp", ttlMs: 3 * HOUR_MS, match: /services\.swpc\.noaa\.gov\/products\/noaa-planetary-k-index|kp\.gfz-potsdam\.de\/app\/json/ },
+  { feed: "solarWind", ttlMs: HOUR_MS, match: /services\.swpc\.noaa\.gov\/products\/solar-wind\// },
+  { feed: "oval", ttlMs: HOUR_MS, match: /services\.swpc\.noaa\.gov\/(json\/ovation_aurora_latest|images\/aurora-forecast-)/ },
+  { feed: "clouds", ttlMs: 6 * HOUR_MS, match: /api\.open-meteo\.com\/v1\/forecast|api\.met\.no\/weatherapi\/locationforecast/ },
+  { feed: "sun", ttlMs: 24 * HOUR_MS, match: /api\.sunrise-sunset\.org\// }
+];
+
+function dataFeedFor(url) {
+  return DATA_FEEDS.find((f) => f.match.test(url)) || null;
+}
+
+// Tell the page which feeds came from the network and which from the cache
+async function notifyFeedStatus(clientId, status) {
+  if (!clientId) return;
+  const client = await self.clients.get(clientId);
+  if (client) client.postMessage({ type: "data-feed", ...status });
+}
+
+// Copy of the response with the fetch time in a header (the body is buffered
+// so the copy can be stored while the original goes to the page)
+async function stampResponse(response, cachedAt) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(cachedAt));
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+// Cache keys come back oldest first, so trimming drops the oldest responses
+async function trimDataCache(cache) {
+  const keys = await cache.keys();
+  const excess = keys.length - DATA_CACHE_MAX_ENTRIES;
+  for (let i = 0; i < excess; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
+async function putDataResponse(request, response) {
+  const cache = await caches.open(DATA_CACHE_NAME);
+  await cache.put(request, await stampResponse(response, Date.now()));
+  await trimDataCache(cache);
+}
+
+// Network first; offline, the cached copy is served while it is within the
+// feed's TTL and the page is told how old it is.
+async function handleDataRequest(event, feed) {
+  const { request } = event;
+  const url = request.url;
+
+  try {
+    const response = await fetch(request);
+    // Opaque responses can't carry the timestamp, so only readable ones are kept
+    if (response.ok && response.type !== "opaque") {
+      event.waitUntil(
+        putDataResponse(request, response.clone()).catch((err) =>
+          console.warn("Data cache write failed", err)
+        )
+      );
+    }
+    event.waitUntil(notifyFeedStatus(event.clientId, { feed: feed.feed, url, fromCache: false }));
+    return response;
+  } catch (err) {
+    const cache = await caches.open(DATA_CACHE_NAME);
+    const cached = await cache.match(request);
+    const cachedAt = cached ? Number(cached.headers.get(CACHED_AT_HEADER)) : NaN;
+    const ageMs = Date.now() - cachedAt;
+
+    if (!cached || !Number.isFinite(cachedAt) || ageMs > feed.ttlMs) {
+      if (cached) event.waitUntil(cache.delete(request));
+      throw err;
+    }
+
+    event.waitUntil(
+      notifyFeedStatus(event.clientId, { feed: feed.feed, url, fromCache: true, cachedAt, ageMs })
+    );
+    return cached;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+
+  if (request.method !== "GET") {
+    return;
+  }
+
+  const feed = dataFeedFor(request.url);
+  if (feed) {
+    event.respondWith(handleDataRequest(event, feed));
+    return;
+  }
+
+  // Other third-party requests (geocoding, IP lookup) go straight to the network
+  if (new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+        return response;
+      })
+      .catch(() =>
+        caches.match(request).then((cached) => {
+          if (cached) return cached;
+          if (request.mode === "navigate") {
+            return caches.match("./index.html");
+          }
+        })
+      )
+  );
+});
+
+// The alerts in service-worker.js keep their subscription in this cache
+self.AuroraCaches = { CACHE_NAME, ALERT_CACHE_NAME, DATA_CACHE_NAME };
@@ -0,0 +1,5 @@
+// A2KDA Aurora - classic fallback service worker
+// For browsers that reject the module worker (service-worker.js): offline
+// caching only. Alerts need the scoring modules, so the page turns them off
+// when it has to register this one instead.
+importScripts("service-worker-cache.js");
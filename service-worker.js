@@ -1,56 +1,183 @@
-const CACHE_NAME = "aurora-now-v2";
-
-const ASSETS = [
-  "./",
-  "./index.html",
-  "./styles.css",
-  "./app.js",
-  "./pagelogo.png",
-  "./favicon.ico",
-  "./manifest.webmanifest"
-];
-
-self.addEventListener("install", (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => cache.addAll(ASSETS))
-  );
-  self.skipWaiting();
-});
+import {
+  OvationGrid,
+  computeDarknessInfo,
+  nightHourDates,
+  kpForecastAt,
+  hourInputs,
+  scoreHour,
+  formatHourLocal,
+  zonedParts
+} from "./aurora-scoring.mjs";
+import { fetchFeed } from "./data-providers.mjs";
+// Offline caching lives in a classic script so the fallback worker can share it
+import "./service-worker-cache.js";
 
-self.addEventListener("activate", (event) => {
-  event.waitUntil(
-    caches.keys().then((keys) =>
-      Promise.all(
-        keys
-          .filter((key) => key !== CACHE_NAME)
-          .map((key) => caches.delete(key))
-      )
-    )
-  );
-  self.clients.claim();
-});
+const { ALERT_CACHE_NAME } = self.AuroraCaches;
+const ALERT_SUBSCRIPTION_KEY = "./__aurora-alert-subscription";
+const ALERT_SYNC_TAG = "aurora-alert-check";
 
-self.addEventListener("fetch", (event) => {
-  const { request } = event;
+// -------- Threshold alerts --------
+// The subscription lives in its own cache entry (workers have no localStorage):
+// { threshold, lat, lon, label, timeZone, lightPollution, kp, weights, lastNotifiedNight }
 
-  if (request.method !== "GET") {
+async function readAlertSubscription() {
+  const cache = await caches.open(ALERT_CACHE_NAME);
+  const res = await cache.match(ALERT_SUBSCRIPTION_KEY);
+  return res ? res.json() : null;
+}
+
+async function writeAlertSubscription(subscription) {
+  const cache = await caches.open(ALERT_CACHE_NAME);
+  if (!subscription) {
+    await cache.delete(ALERT_SUBSCRIPTION_KEY);
     return;
   }
+  await cache.put(
+    ALERT_SUBSCRIPTION_KEY,
+    new Response(JSON.stringify(subscription), {
+      headers: { "Content-Type": "application/json" }
+    })
+  );
+}
+
+// Calendar date at the site, so the key matches the site's evening
+function nightKeyFor(date, timeZone) {
+  const p = zonedParts(date, timeZone || null);
+  const m = String(p.month).padStart(2, "0");
+  const d = String(p.day).padStart(2, "0");
+  return `${p.year}-${m}-${d}`;
+}
+
+async function checkAuroraAlert() {
+  const subscription = await readAlertSubscription();
+  if (!subscription || self.Notification === undefined) return;
+  if (Notification.permission !== "granted") return;
+
+  const { lat, lon, timeZone } = subscription;
+  const now = new Date();
+
+  const darkness = computeDarknessInfo(lat, lon, now, timeZone || null);
+  if (!darkness) return;
+
+  const hours = nightHourDates(darkness, now).filter(
+    (d) => d.getTime() >= now.getTime() - 3600000
+  );
+  if (!hours.length) return;
+
+  // One notification per night, keyed by the evening the night starts on
+  const nightKey = nightKeyFor(hours[0], timeZone);
+  if (subscription.lastNotifiedNight === nightKey) return;
+
+  // The same feeds the page scores with; each is optional except the clouds
+  const [kpResult, forecastResult, windResult, ovationResult, weatherResult] =
+    await Promise.allSettled([
+      fetchFeed("kp"),
+      fetchFeed("kpForecast"),
+      fetchFeed("solarWind"),
+      fetchFeed("ovation"),
+      fetchFeed("weather", { lat, lon, forecastDays: 2 })
+    ]);
+  const data = (result, what) => {
+    if (result.status === "fulfilled") return result.value.data;
+    console.warn(`Alert check: ${what} unavailable`, result.reason);
+    return null;
+  };
 
-  event.respondWith(
-    fetch(request)
-      .then((response) => {
-        const copy = response.clone();
-        caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
-        return response;
+  const kpData = data(kpResult, "live KP");
+  const liveKp = kpData ? kpData.kp : subscription.kp;
+  const kpForecast = data(forecastResult, "KP forecast");
+  const solarWind = data(windResult, "solar wind");
+  const ovation = data(ovationResult, "OVATION grid");
+  const weather = data(weatherResult, "cloud forecast");
+  // A score without clouds could fire under an overcast sky
+  if (!weather) return;
+
+  const site = {
+    lat,
+    lon,
+    now,
+    lightPollution: subscription.lightPollution,
+    solarWind,
+    ovation: ovation ? OvationGrid.fromFeed(ovation) : null,
+    hourlyClouds: weather.hourly,
+    currentCloud: weather.cloud,
+    weights: subscription.weights
+  };
+
+  let best = null;
+  hours.forEach((hourDate) => {
+    // Forecast KP per hour, as in the page's planner
+    const kp = kpForecastAt(kpForecast, hourDate) ?? liveKp;
+    const inputs = hourInputs(hourDate, { ...site, kp });
+    if (inputs.cloudCover == null) return;
+    const result = scoreHour(hourDate, darkness, inputs);
+    if (!best || result.score > best.score) best = { ...result, kp };
+  });
+
+  if (!best || best.score < subscription.threshold) return;
+
+  const darkWindow = darkness.hasAstronomicalNight
+    ? `Dark from ${formatHourLocal(darkness.astroDusk)} to ${formatHourLocal(
+        darkness.astroDawn
+      )}.`
+    : darkness.alwaysAstronomicalDark
+    ? "The sky stays dark all day."
+    : "The sky never gets fully dark tonight.";
+
+  await self.registration.showNotification(
+    `Aurora alert: score ${Math.round(best.score)} tonight`,
+    {
+      body:
+        `Peak around ${formatHourLocal(best.localHour)} at ${subscription.label}. ` +
+        `${darkWindow} KP ${best.kp.toFixed(1)}.`,
+      tag: `aurora-alert-${nightKey}`,
+      icon: "pagelogo.png",
+      badge: "favicon.ico"
+    }
+  );
+
+  await writeAlertSubscription({ ...subscription, lastNotifiedNight: nightKey });
+}
+
+self.addEventListener("message", (event) => {
+  const data = event.data || {};
+
+  if (data.type === "alert-subscribe" && data.subscription) {
+    event.waitUntil(
+      readAlertSubscription().then((existing) => {
+        const next = { ...data.subscription };
+        // Keep the per-night de-duplication unless the site or threshold changed
+        if (
+          existing &&
+          existing.lat === next.lat &&
+          existing.lon === next.lon &&
+          existing.threshold === next.threshold
+        ) {
+          next.lastNotifiedNight = existing.lastNotifiedNight;
+        }
+        return writeAlertSubscription(next).then(checkAuroraAlert);
       })
-      .catch(() =>
-        caches.match(request).then((cached) => {
-          if (cached) return cached;
-          if (request.mode === "navigate") {
-            return caches.match("./index.html");
-          }
-        })
-      )
+    );
+  } else if (data.type === "alert-unsubscribe") {
+    event.waitUntil(writeAlertSubscription(null));
+  } else if (data.type === "alert-check") {
+    event.waitUntil(checkAuroraAlert());
+  }
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === ALERT_SYNC_TAG) {
+    event.waitUntil(checkAuroraAlert());
+  }
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) => {
+      const open = clients.find((c) => "focus" in c);
+      if (open) return open.focus();
+      return self.clients.openWindow("./");
+    })
   );
 });
@@ -0,0 +1,262 @@
+// Contract tests for data-providers.mjs: every provider's adapter against its
+// sample in fixtures/providers/, and every fallback chain through fetchFeed()
+// with the network stubbed. Run from the repo root with `node --test`.
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { fetchFeed, getProvider, listProviders } from "../data-providers.mjs";
+
+const TYPES = [
+  "kp",
+  "kpForecast",
+  "solarWind",
+  "ovation",
+  "weather",
+  "sunTimes",
+  "ipLocation",
+  "geocoding"
+];
+
+const PARAMS = {
+  kp: { now: "2026-01-15T07:00:00Z" },
+  weather: { lat: 69.65, lon: 18.96 },
+  sunTimes: { lat: 69.65, lon: 18.96 },
+  geocoding: { query: "Tromsø" }
+};
+
+function fixture(type, id) {
+  const file = new URL(`../fixtures/providers/${type}.${id}.json`, import.meta.url);
+  return JSON.parse(readFileSync(file, "utf8"));
+}
+
+// -------- Normalized shapes (see the table at the top of data-providers.mjs) --------
+
+function assertDate(value, what) {
+  assert.ok(value instanceof Date && !Number.isNaN(value.getTime()), `${what} is a valid Date`);
+}
+
+function assertFraction(value, what, nullable = false) {
+  if (nullable && value === null) return;
+  assert.equal(typeof value, "number", `${what} is a number`);
+  assert.ok(value >= 0 && value <= 1, `${what} is within 0..1`);
+}
+
+function assertNumberOrNull(value, what) {
+  assert.ok(value === null || Number.isFinite(value), `${what} is a number or null`);
+}
+
+const SHAPES = {
+  kp(data) {
+    assert.ok(data.kp >= 0 && data.kp <= 9, "kp is within 0..9");
+    assertDate(data.time, "time");
+    assert.ok(data.history.length > 0, "history is not empty");
+    data.history.forEach((h, i) => {
+      assertDate(h.time, `history[${i}].time`);
+      assert.ok(h.kp >= 0 && h.kp <= 9, `history[${i}].kp is within 0..9`);
+      if (i > 0) assert.ok(h.time > data.history[i - 1].time, "history is oldest first");
+    });
+    const latest = data.history[data.history.length - 1];
+    assert.equal(data.kp, latest.kp);
+    assert.equal(data.time.getTime(), latest.time.getTime());
+  },
+
+  kpForecast(data) {
+    assert.ok(Array.isArray(data) && data.length > 0, "forecast is a non-empty array");
+    data.forEach((block, i) => {
+      assertDate(block.start, `[${i}].start`);
+      assert.ok(block.kp >= 0 && block.kp <= 9, `[${i}].kp is within 0..9`);
+      assert.ok(["observed", "estimated", "predicted"].includes(block.kind), `[${i}].kind`);
+    });
+  },
+
+  solarWind(data) {
+    assert.ok(Number.isFinite(data.bz), "bz is a number");
+    assert.ok(Number.isFinite(data.bzMean), "bzMean is a number");
+    assertFraction(data.southwardShare, "southwardShare");
+    assertNumberOrNull(data.bt, "bt");
+    assertNumberOrNull(data.speed, "speed");
+    assertNumberOrNull(data.density, "density");
+    assert.equal(typeof data.timeTag, "string");
+  },
+
+  ovation(data) {
+    assert.ok(Array.isArray(data.points) && data.points.length > 0, "points is not empty");
+    data.points.forEach((p) => {
+      assert.ok(p.length >= 3 && p.slice(0, 3).every(Number.isFinite), "point is [lon, lat, p]");
+    });
+    assert.ok(data.observationTime === null || typeof data.observationTime === "string");
+    assert.ok(data.forecastTime === null || typeof data.forecastTime === "string");
+  },
+
+  weather(data) {
+    assertFraction(data.cloud, "cloud");
+    assert.ok(data.hourly.length > 0, "hourly is not empty");
+    data.hourly.forEach((h, i) => {
+      assertDate(h.time, `hourly[${i}].time`);
+      assertFraction(h.cover, `hourly[${i}].cover`);
+      assertFraction(h.low, `hourly[${i}].low`, true);
+      assertFraction(h.mid, `hourly[${i}].mid`, true);
+      assertFraction(h.high, `hourly[${i}].high`, true);
+      assertNumberOrNull(h.visibility, `hourly[${i}].visibility`);
+      assertFraction(h.precipitationProbability, `hourly[${i}].precipitationProbability`, true);
+    });
+    assert.ok(data.timeZone === null || typeof data.timeZone === "string");
+  },
+
+  sunTimes(data) {
+    [
+      "sunrise",
+      "sunset",
+      "civil_twilight_begin",
+      "civil_twilight_end",
+      "astronomical_twilight_begin",
+      "astronomical_twilight_end"
+    ].forEach((key) => {
+      const v = data[key];
+      assert.ok(
+        v === null || (typeof v === "string" && !Number.isNaN(new Date(v).getTime())),
+        `${key} is an ISO instant or null`
+      );
+      assert.ok(v === null || !v.startsWith("1970-01-01"), `${key} is not the epoch placeholder`);
+    });
+  },
+
+  ipLocation(data) {
+    assert.ok(Math.abs(data.lat) <= 90 && Math.abs(data.lon) <= 180, "lat/lon in range");
+    assert.ok(data.city === null || typeof data.city === "string");
+    assert.ok(data.country === null || typeof data.country === "string");
+  },
+
+  geocoding(data) {
+    assert.ok(data, "a place was found");
+    assert.ok(Math.abs(data.lat) <= 90 && Math.abs(data.lon) <= 180, "lat/lon in range");
+    assert.ok(data.name && typeof data.name === "string", "name");
+    assert.ok(data.label && typeof data.label === "string", "label");
+    assert.equal(typeof data.category, "string");
+    assert.equal(typeof data.type, "string");
+    assert.ok(Number.isFinite(data.importance), "importance");
+  }
+};
+
+// -------- Adapters against their fixtures --------
+
+for (const type of TYPES) {
+  for (const { id } of listProviders(type)) {
+    test(`${type}: ${id} adapts its fixture to the normalized shape`, () => {
+      const provider = getProvider(type, id);
+      SHAPES[type](provider.adapt(fixture(type, id), PARAMS[type] || {}));
+    });
+  }
+}
+
+test("sunTimes: events that don't happen come back as null", () => {
+  const raw = fixture("sunTimes", "sunrise-sunset");
+  raw.results.astronomical_twilight_begin = "1970-01-01T00:00:01+00:00";
+  const data = getProvider("sunTimes", "sunrise-sunset").adapt(raw);
+  assert.equal(data.astronomical_twilight_begin, null);
+});
+
+test("geocoding: no match is null from both providers", () => {
+  assert.equal(getProvider("geocoding", "nominatim").adapt([]), null);
+  assert.equal(getProvider("geocoding", "open-meteo-geocoding").adapt({}), null);
+});
+
+// -------- fetchFeed() and fallbacks --------
+
+const realFetch = globalThis.fetch;
+const realWarn = console.warn;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  console.warn = realWarn;
+});
+
+// Answers each provider's URL from its fixture, except providers listed in
+// `failing` ("status" → 503, "shape" → a body the adapter rejects)
+function stubNetwork(type, failing = {}) {
+  const routes = new Map();
+  for (const { id } of listProviders(type)) {
+    const url = getProvider(type, id).url(PARAMS[type] || {});
+    const body = fixture(type, id);
+    const urls = typeof url === "string" ? { _: url } : url;
+    Object.entries(urls).forEach(([key, u]) => {
+      routes.set(u, { id, body: key === "_" ? body : body[key] });
+    });
+  }
+
+  const requested = [];
+  console.warn = () => {};
+  globalThis.fetch = async (url) => {
+    const route = routes.get(String(url));
+    assert.ok(route, `unexpected request ${url}`);
+    requested.push(route.id);
+    if (failing[route.id] === "status") return { ok: false, status: 503 };
+    const body = failing[route.id] === "shape" ? { unexpected: true } : route.body;
+    return { ok: true, status: 200, json: async () => JSON.parse(JSON.stringify(body)) };
+  };
+  return requested;
+}
+
+for (const type of TYPES) {
+  test(`${type}: fetchFeed() answers from the first provider`, async () => {
+    const [first] = listProviders(type);
+    stubNetwork(type);
+    const result = await fetchFeed(type, PARAMS[type]);
+    assert.equal(result.provider.id, first.id);
+    assert.deepEqual(result.failures, []);
+    SHAPES[type](result.data);
+  });
+}
+
+test("geocoding: a provider's headers are sent alongside Accept", async () => {
+  stubNetwork("geocoding");
+  const stubbed = globalThis.fetch;
+  let headers = null;
+  globalThis.fetch = async (url, init) => {
+    headers = init.headers;
+    return stubbed(url, init);
+  };
+  await fetchFeed("geocoding", PARAMS.geocoding);
+  assert.deepEqual(headers, { Accept: "application/json", "Accept-Language": "en" });
+});
+
+const FALLBACKS = [
+  ["kp", "noaa-swpc", "gfz-potsdam"],
+  ["weather", "open-meteo", "met-norway"],
+  ["ipLocation", "ipapi", "ipwhois"],
+  ["geocoding", "nominatim", "open-meteo-geocoding"]
+];
+
+for (const [type, first, second] of FALLBACKS) {
+  test(`${type}: ${second} answers when ${first} is down`, async () => {
+    const requested = stubNetwork(type, { [first]: "status" });
+    const result = await fetchFeed(type, PARAMS[type]);
+    assert.deepEqual(requested, [first, second]);
+    assert.equal(result.provider.id, second);
+    assert.equal(result.failures.length, 1);
+    assert.equal(result.failures[0].provider.id, first);
+    assert.match(result.failures[0].error.message, /status 503/);
+    SHAPES[type](result.data);
+  });
+
+  test(`${type}: ${second} answers when ${first} returns an unexpected shape`, async () => {
+    stubNetwork(type, { [first]: "shape" });
+    const result = await fetchFeed(type, PARAMS[type]);
+    assert.equal(result.provider.id, second);
+    assert.equal(result.failures[0].provider.id, first);
+    SHAPES[type](result.data);
+  });
+
+  test(`${type}: the error names both providers when both fail`, async () => {
+    stubNetwork(type, { [first]: "status", [second]: "status" });
+    await assert.rejects(fetchFeed(type, PARAMS[type]), (err) => {
+      assert.deepEqual(
+        err.failures.map((f) => f.provider.id),
+        [first, second]
+      );
+      listProviders(type).forEach(({ name }) => assert.ok(err.message.includes(name)));
+      return true;
+    });
+  });
+}
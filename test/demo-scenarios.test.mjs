@@ -0,0 +1,119 @@
+// Regression tests for the scoring pipeline: each bundled demo scenario
+// (fixtures/demo/) is scored headlessly at its frozen clock and must land in
+// the expected band. Run from the repo root with `node --test`.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "node:fs";
+
+import {
+  LightPollution,
+  OvationGrid,
+  buildDarknessFromLiveTimes,
+  hourInputs,
+  scoreSite
+} from "../aurora-scoring.mjs";
+import { fetchFeed, useFixtures } from "../data-providers.mjs";
+
+// Scores move when the model is tuned; update a band on purpose, with the
+// reason in the commit, never just to make the test pass.
+const EXPECTED = {
+  "quiet-night": { verdict: "no", min: 25, max: 45 },
+  "g4-storm": { verdict: "yes", min: 85, max: 100 },
+  "midnight-sun": { verdict: "no", min: 0, max: 25 },
+  "polar-night": { verdict: "no", min: 5, max: 25 },
+  "overcast": { verdict: "no", min: 0, max: 15 }
+};
+
+function loadScenario(id) {
+  const file = new URL(`../fixtures/demo/${id}.json`, import.meta.url);
+  return JSON.parse(readFileSync(file, "utf8"));
+}
+
+// The page's verdict for "now" at the scenario site: the feeds through
+// fetchFeed() and the inputs from the hourInputs() call recomputeAurora makes.
+async function scoreScenario(scenario, weights) {
+  const { lat, lon } = scenario.site;
+  const now = new Date(scenario.now);
+
+  useFixtures(scenario.feeds);
+  try {
+    const [kp, weather, sunTimes, solarWind, ovation] = await Promise.all([
+      fetchFeed("kp"),
+      fetchFeed("weather", { lat, lon }),
+      fetchFeed("sunTimes", { lat, lon }),
+      fetchFeed("solarWind"),
+      fetchFeed("ovation")
+    ]);
+    const lightPollution = await LightPollution.getLightPollution(lat, lon);
+    const { timeZone, cloud, hourly } = weather.data;
+
+    const inputs = hourInputs(now, {
+      lat,
+      lon,
+      now,
+      kp: kp.data.kp,
+      lightPollution: lightPollution.normalized,
+      solarWind: solarWind.data,
+      ovation: OvationGrid.fromFeed(ovation.data),
+      hourlyClouds: hourly,
+      currentCloud: cloud,
+      fallbackCloudCover: 0.2,
+      weights
+    });
+    return scoreSite({
+      ...inputs,
+      timeZone,
+      darkness: buildDarknessFromLiveTimes(sunTimes.data, timeZone, now) || undefined
+    });
+  } finally {
+    useFixtures(null);
+  }
+}
+
+const realFetch = globalThis.fetch;
+const realWarn = console.warn;
+
+// No light-pollution tiles ship with the repo, so "auto" is the heuristic
+before(() => {
+  globalThis.fetch = async () => ({ ok: false, status: 404 });
+  console.warn = () => {};
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+  console.warn = realWarn;
+});
+
+for (const [id, expected] of Object.entries(EXPECTED)) {
+  test(`${id}: ${expected.verdict} with a score of ${expected.min}–${expected.max}`, async () => {
+    const result = await scoreScenario(loadScenario(id));
+    assert.equal(result.verdict, expected.verdict);
+    assert.ok(
+      result.score >= expected.min && result.score <= expected.max,
+      `score ${result.score.toFixed(1)} is outside ${expected.min}–${expected.max}`
+    );
+  });
+}
+
+test("a frozen clock gives the same score on every run", async () => {
+  const scenario = loadScenario("quiet-night");
+  const first = await scoreScenario(scenario);
+  const second = await scoreScenario(scenario);
+  assert.equal(first.score, second.score);
+  assert.deepEqual(first.explanation, second.explanation);
+});
+
+test("an overcast sky is a no even with the thresholds at zero", async () => {
+  const result = await scoreScenario(loadScenario("overcast"), {
+    yesThreshold: 1,
+    maybeThreshold: 0
+  });
+  assert.equal(result.verdict, "no");
+});
+
+test("every bundled scenario has an expected band", () => {
+  const ids = readdirSync(new URL("../fixtures/demo/", import.meta.url))
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => f.replace(/\.json$/, ""));
+  assert.deepEqual(ids.sort(), Object.keys(EXPECTED).sort());
+});
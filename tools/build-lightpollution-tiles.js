@@ -0,0 +1,90 @@
+// Converts a flat light pollution grid into the tiled format read by
+// LightPollution in aurora-scoring.mjs.
+//
+// Usage: node tools/build-lightpollution-tiles.js <grid.json> [outDir] [tileDeg]
+//
+// The input is the old single-file format:
+// { lat_min, lon_min, resolution_deg, rows, cols, unit, values: [...] }
+// with `values` in row-major order, row 0 at lat_min. Output is
+// <outDir>/manifest.json plus <outDir>/tiles/<key>.bin for every tile that
+// has at least one value.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const SCALE = 0.001;
+const NODATA = 65535;
+
+function tileKey(lat0, lon0) {
+  return (
+    (lat0 < 0 ? "S" : "N") + String(Math.abs(lat0)).padStart(2, "0") +
+    (lon0 < 0 ? "W" : "E") + String(Math.abs(lon0)).padStart(3, "0")
+  );
+}
+
+function main() {
+  const [input, outDir = "lightpollution", tileDegArg = "5"] = process.argv.slice(2);
+  if (!input) {
+    console.error("Usage: node tools/build-lightpollution-tiles.js <grid.json> [outDir] [tileDeg]");
+    process.exit(1);
+  }
+
+  const grid = JSON.parse(fs.readFileSync(input, "utf8"));
+  const { lat_min, lon_min, resolution_deg, rows, cols, values } = grid;
+  if (!Array.isArray(values) || !(resolution_deg > 0)) {
+    throw new Error("Input grid needs resolution_deg and a values array");
+  }
+
+  const tileDeg = Number(tileDegArg);
+  const samples = Math.round(tileDeg / resolution_deg) + 1;
+  const step = tileDeg / (samples - 1);
+
+  // Nearest source cell for a grid point, or null outside / without data
+  function sourceValue(lat, lon) {
+    const row = Math.floor((lat - lat_min) / resolution_deg);
+    const col = Math.floor((lon - lon_min) / resolution_deg);
+    if (row < 0 || row >= rows || col < 0 || col >= cols) return null;
+    const raw = values[row * cols + col];
+    return raw == null || Number.isNaN(Number(raw)) ? null : Number(raw);
+  }
+
+  fs.mkdirSync(path.join(outDir, "tiles"), { recursive: true });
+  const tiles = [];
+
+  for (let lat0 = -90; lat0 < 90; lat0 += tileDeg) {
+    for (let lon0 = -180; lon0 < 180; lon0 += tileDeg) {
+      const buffer = Buffer.alloc(samples * samples * 2);
+      let hasData = false;
+
+      for (let r = 0; r < samples; r++) {
+        for (let c = 0; c < samples; c++) {
+          const v = sourceValue(lat0 + r * step, lon0 + c * step);
+          const raw = v == null ? NODATA : Math.min(NODATA - 1, Math.round(v / SCALE));
+          if (v != null) hasData = true;
+          buffer.writeUInt16LE(raw, (r * samples + c) * 2);
+        }
+      }
+
+      if (!hasData) continue;
+      const key = tileKey(lat0, lon0);
+      fs.writeFileSync(path.join(outDir, "tiles", `${key}.bin`), buffer);
+      tiles.push(key);
+    }
+  }
+
+  const manifest = {
+    tile_deg: tileDeg,
+    samples,
+    scale: SCALE,
+    offset: 0,
+    nodata: NODATA,
+    unit: grid.unit || "mag_per_arcsec2",
+    tiles
+  };
+  fs.writeFileSync(path.join(outDir, "manifest.json"), JSON.stringify(manifest));
+  console.log(`Wrote ${tiles.length} tiles (${samples}×${samples}) to ${outDir}`);
+}
+
+main();